@@ -7,10 +7,49 @@ CREATE TABLE IF NOT EXISTS ledger_events (
   event_type    TEXT NOT NULL,
   payload       JSONB NOT NULL,
   prev_hash     TEXT NOT NULL,
-  event_hash    TEXT NOT NULL UNIQUE
+  event_hash    TEXT NOT NULL UNIQUE,
+  -- assinatura Ed25519 (base64) do event_hash; só o GENESIS fica sem assinatura
+  signature     TEXT,
+  key_id        TEXT
 );
 
 CREATE INDEX IF NOT EXISTS idx_ledger_created_at ON ledger_events(created_at);
+-- cada evento tem exatamente um sucessor: dois eventos com o mesmo prev_hash seriam uma bifurcação
+CREATE UNIQUE INDEX IF NOT EXISTS uq_ledger_prev_hash ON ledger_events(prev_hash);
+
+-- Checkpoints de auditoria assinados (Ed25519): ponto a partir do qual a verificação é incremental
+CREATE TABLE IF NOT EXISTS audit_checkpoints (
+  id               BIGSERIAL PRIMARY KEY,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_event_id    BIGINT NOT NULL,
+  last_event_hash  TEXT NOT NULL,
+  events_verified  BIGINT NOT NULL,
+  key_id           TEXT NOT NULL,
+  signature        TEXT NOT NULL,
+  ledger_hash      TEXT NOT NULL
+);
+
+-- Âncoras: raiz de Merkle assinada de uma faixa de eventos, exportada para destino externo append-only
+CREATE TABLE IF NOT EXISTS ledger_anchors (
+  id            BIGSERIAL PRIMARY KEY,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  from_id       BIGINT NOT NULL,
+  to_id         BIGINT NOT NULL UNIQUE,
+  leaf_count    INTEGER NOT NULL,
+  merkle_root   TEXT NOT NULL,
+  key_id        TEXT NOT NULL,
+  signature     TEXT NOT NULL,
+  target        TEXT NOT NULL,
+  ledger_hash   TEXT NOT NULL
+);
+
+-- Âncora já calculada e assinada, ainda sem LEDGER_ANCHOR (linha única): fixa a faixa entre a
+-- exportação para o destino externo e o registro no ledger, inclusive entre tentativas do job
+CREATE TABLE IF NOT EXISTS ledger_anchor_pending (
+  id          BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  anchor      JSONB NOT NULL
+);
 
 -- Projeções: locations monitoradas
 CREATE TABLE IF NOT EXISTS locations (
@@ -19,6 +58,10 @@ CREATE TABLE IF NOT EXISTS locations (
   lat          DOUBLE PRECISION NOT NULL,
   lon          DOUBLE PRECISION NOT NULL,
   is_active    BOOLEAN NOT NULL DEFAULT true,
+  risk_profile TEXT,
+  rule_overrides JSONB,
+  refresh_interval_sec INTEGER CHECK (refresh_interval_sec > 0),
+  weather_provider TEXT,
   created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
@@ -44,6 +87,135 @@ CREATE TABLE IF NOT EXISTS weather_snapshots (
 );
 
 CREATE INDEX IF NOT EXISTS idx_snap_location_time ON weather_snapshots(location_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_snap_location_id ON weather_snapshots(location_id, id DESC);
+
+-- Projeção: decisão preditiva (previsão) por location
+CREATE TABLE IF NOT EXISTS location_forecast (
+  location_id      UUID PRIMARY KEY REFERENCES locations(id) ON DELETE CASCADE,
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  horizon_hours    INTEGER NOT NULL,
+  decision         TEXT NOT NULL CHECK (decision IN ('NORMAL','ALERT','CRITICAL')),
+  earliest         JSONB NOT NULL,
+  windows          JSONB NOT NULL,
+  applied_rule     JSONB NOT NULL,
+  ledger_hash      TEXT NOT NULL
+);
+
+-- Projeção: áreas geográficas (GeoJSON Polygon/MultiPolygon, coordenadas [lon, lat]).
+-- Pertencer a uma área = location ativo dentro do polígono; calculado na consulta, sem tabela de membros.
+CREATE TABLE IF NOT EXISTS areas (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name         TEXT NOT NULL,
+  kind         TEXT,
+  geometry     JSONB NOT NULL,
+  aggregation  JSONB NOT NULL,
+  is_active    BOOLEAN NOT NULL DEFAULT true,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Projeção: decisão agregada atual por área (evento AREA_DECISION).
+-- decision NULL = nenhum membro com decisão; members = contagem por decisão no momento do cálculo
+CREATE TABLE IF NOT EXISTS area_state (
+  area_id      UUID PRIMARY KEY REFERENCES areas(id) ON DELETE CASCADE,
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  decision     TEXT CHECK (decision IN ('NORMAL','ALERT','CRITICAL')),
+  members      JSONB NOT NULL,
+  ledger_hash  TEXT NOT NULL
+);
+
+-- anel GeoJSON [[lon, lat], ...] -> polygon nativo (x = lon, y = lat)
+CREATE OR REPLACE FUNCTION ring_polygon(ring JSONB) RETURNS POLYGON
+LANGUAGE sql IMMUTABLE STRICT AS $$
+  SELECT ('(' || string_agg('(' || (p->>0) || ',' || (p->>1) || ')', ',' ORDER BY i) || ')')::polygon
+    FROM jsonb_array_elements(ring) WITH ORDINALITY AS t(p, i)
+$$;
+
+-- ponto dentro de Polygon/MultiPolygon GeoJSON; anéis depois do primeiro são buracos. Borda conta como dentro.
+CREATE OR REPLACE FUNCTION geojson_contains(geom JSONB, lon DOUBLE PRECISION, lat DOUBLE PRECISION) RETURNS BOOLEAN
+LANGUAGE sql IMMUTABLE STRICT AS $$
+  SELECT coalesce(bool_or(
+           ring_polygon(poly->0) @> point(lon, lat)
+           AND NOT EXISTS (
+             SELECT 1 FROM jsonb_array_elements(poly) WITH ORDINALITY AS h(ring, k)
+              WHERE k > 1 AND ring_polygon(ring) @> point(lon, lat))
+         ), false)
+    FROM jsonb_array_elements(
+           CASE geom->>'type' WHEN 'Polygon' THEN jsonb_build_array(geom->'coordinates') ELSE geom->'coordinates' END
+         ) AS poly
+$$;
+
+-- Rulesets versionados (regras de risco como dados)
+CREATE TABLE IF NOT EXISTS rulesets (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name           TEXT NOT NULL,
+  version        INTEGER NOT NULL UNIQUE,
+  status         TEXT NOT NULL DEFAULT 'DRAFT' CHECK (status IN ('DRAFT','ACTIVE','RETIRED')),
+  rules          JSONB NOT NULL,
+  content_hash   TEXT NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  activated_at   TIMESTAMPTZ,
+  retired_at     TIMESTAMPTZ
+);
+
+-- no máximo um ruleset ativo por vez
+CREATE UNIQUE INDEX IF NOT EXISTS uq_rulesets_active ON rulesets(status) WHERE status = 'ACTIVE';
+
+-- Agenda de reavaliação automática (linha única)
+CREATE TABLE IF NOT EXISTS scheduler_settings (
+  id                    BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  enabled               BOOLEAN NOT NULL DEFAULT true,
+  default_interval_sec  INTEGER NOT NULL DEFAULT 900 CHECK (default_interval_sec > 0),
+  sla_sec               INTEGER NOT NULL DEFAULT 1800 CHECK (sla_sec > 0),
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO scheduler_settings(id) VALUES (true) ON CONFLICT DO NOTHING;
+
+-- Webhooks: assinaturas de notificação (por location ou globais) e log de entregas
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  url          TEXT NOT NULL,
+  location_id  UUID REFERENCES locations(id) ON DELETE CASCADE,
+  severities   TEXT[] NOT NULL,
+  secret       TEXT NOT NULL,
+  is_active    BOOLEAN NOT NULL DEFAULT true,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id                BIGSERIAL PRIMARY KEY,
+  subscription_id   UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+  location_id       UUID NOT NULL,
+  ledger_hash       TEXT NOT NULL,
+  from_decision     TEXT,
+  to_decision       TEXT NOT NULL,
+  body              JSONB NOT NULL,
+  status            TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING','DELIVERED','FAILED')),
+  attempts          INTEGER NOT NULL DEFAULT 0,
+  last_status_code  INTEGER,
+  last_error        TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  delivered_at      TIMESTAMPTZ,
+  -- outbox: gravada na transação da decisão; NULL = ainda não foi para a fila de envio
+  enqueued_at       TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_deliveries_subscription ON webhook_deliveries(subscription_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_deliveries_outbox ON webhook_deliveries(id) WHERE status = 'PENDING' AND enqueued_at IS NULL;
+
+-- Idempotency-Key dos comandos: resposta guardada por (ator, chave) e reenviada em repetições.
+-- Fora do ledger e das projeções; status_code NULL = requisição ainda em andamento.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  actor_id      TEXT NOT NULL,
+  key           TEXT NOT NULL,
+  request_hash  TEXT NOT NULL,
+  status_code   INTEGER,
+  response      JSONB,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (actor_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_created_at ON idempotency_keys(created_at);
 
 -- Gênesis do ledger (ponto inicial determinístico)
 DO $$
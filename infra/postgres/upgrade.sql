@@ -0,0 +1,20 @@
+-- Atualiza um banco criado por uma versão anterior do init.sql (o init.sql só roda com o volume vazio).
+-- Idempotente: pode rodar de novo sem efeito. Acrescenta as colunas novas das tabelas que já existiam;
+-- as tabelas, índices e funções novas vêm do próprio init.sql, que é todo CREATE ... IF NOT EXISTS
+-- e roda logo em seguida, na mesma transação:
+--   cat infra/postgres/upgrade.sql infra/postgres/init.sql | \
+--     docker compose exec -T postgres psql -U climarisk -d climarisk -1 -v ON_ERROR_STOP=1
+
+-- assinatura Ed25519 dos eventos; eventos antigos ficam sem ela (signed_from_id do keyring)
+ALTER TABLE ledger_events ADD COLUMN IF NOT EXISTS signature TEXT;
+ALTER TABLE ledger_events ADD COLUMN IF NOT EXISTS key_id TEXT;
+
+-- perfil de risco, agenda e provider por location
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS risk_profile TEXT;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS rule_overrides JSONB;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS refresh_interval_sec INTEGER CHECK (refresh_interval_sec > 0);
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS weather_provider TEXT;
+
+-- outbox dos webhooks; entregas que já existiam foram enfileiradas pela versão anterior
+ALTER TABLE IF EXISTS webhook_deliveries ADD COLUMN IF NOT EXISTS enqueued_at TIMESTAMPTZ DEFAULT now();
+ALTER TABLE IF EXISTS webhook_deliveries ALTER COLUMN enqueued_at DROP DEFAULT;
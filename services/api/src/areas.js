@@ -0,0 +1,55 @@
+// Áreas geográficas: schemas de geometria GeoJSON (Polygon/MultiPolygon, coordenadas [lon, lat]) e
+// conversão de FeatureCollection em linhas { row, data } no formato de AreaCreate (como bulkImport.js).
+const { z } = require("zod");
+
+const MAX_RING_POSITIONS = 10000;
+const MAX_POLYGONS = 100;
+
+// posição [lon, lat] (altitude opcional, ignorada)
+const Position = z.tuple([z.number().min(-180).max(180), z.number().min(-90).max(90)]).rest(z.number().finite());
+
+// anel fechado: primeira posição = última
+const Ring = z.array(Position).min(4).max(MAX_RING_POSITIONS).refine(
+  r => r[0][0] === r[r.length - 1][0] && r[0][1] === r[r.length - 1][1],
+  { message: "ring must be closed (first position = last)" }
+);
+
+// primeiro anel = contorno, demais = buracos
+const PolygonCoords = z.array(Ring).min(1).max(MAX_POLYGONS);
+
+const AreaGeometry = z.discriminatedUnion("type", [
+  z.object({ type: z.literal("Polygon"), coordinates: PolygonCoords }),
+  z.object({ type: z.literal("MultiPolygon"), coordinates: z.array(PolygonCoords).min(1).max(MAX_POLYGONS) })
+]);
+
+// worst = pior decisão entre os membros; share = a severidade mais alta atingida por ao menos
+// threshold_pct % dos membros com decisão (ALERT conta os CRITICAL também)
+const AreaAggregation = z.discriminatedUnion("mode", [
+  z.object({ mode: z.literal("worst") }).strict(),
+  z.object({ mode: z.literal("share"), threshold_pct: z.number().min(1).max(100) }).strict()
+]);
+
+// Features Polygon/MultiPolygon; name, kind e aggregation vêm de properties
+function rowsFromAreaGeoJson(doc) {
+  if (!doc || doc.type !== "FeatureCollection" || !Array.isArray(doc.features)) {
+    throw new Error("expected a GeoJSON FeatureCollection");
+  }
+
+  return doc.features.map((f, i) => {
+    const row = i + 1;
+    if (!f || f.type !== "Feature" || !["Polygon", "MultiPolygon"].includes(f.geometry?.type)) {
+      return { row, error: "feature must be a Polygon or MultiPolygon" };
+    }
+    const { name, kind, aggregation } = f.properties || {};
+    const data = { name, kind, aggregation, geometry: f.geometry };
+    for (const k of Object.keys(data)) if (data[k] === undefined) delete data[k];
+    return { row, data };
+  });
+}
+
+// Chave de deduplicação: nome + tipo normalizados (a geometria pode ter sido redesenhada)
+function areaKey({ name, kind }) {
+  return `${name.trim().toLowerCase()}|${(kind || "").trim().toLowerCase()}`;
+}
+
+module.exports = { AreaGeometry, AreaAggregation, rowsFromAreaGeoJson, areaKey };
@@ -0,0 +1,134 @@
+// Autenticação (API key ou JWT HS256) e autorização por papel.
+// O ator autenticado vai em req.actor e é gravado no payload de todo comando do ledger.
+const fs = require("fs");
+const crypto = require("crypto");
+const { sha256Hex } = require("n29-climarisk-ledger");
+
+const ROLES = ["viewer", "operator", "auditor", "admin"];
+
+// escopo exigido por prefixo de rota -> papéis que o concedem
+const ROLE_SCOPES = {
+  viewer: ["read"],
+  operator: ["read", "cmd"],
+  auditor: ["read", "audit"],
+  admin: ["read", "cmd", "audit"]
+};
+
+// checkpoints (/api/cmd/audit) são ato de auditoria, não de operação.
+// Caminho completo em minúsculas: o escopo não pode depender de como o cliente escreveu a URL.
+function scopeFor(path) {
+  const p = path.toLowerCase();
+  if (p.startsWith("/api/read/audit") || p.startsWith("/api/cmd/audit")) return "audit";
+  if (p.startsWith("/api/read")) return "read";
+  if (p.startsWith("/api/cmd")) return "cmd";
+  return null;
+}
+
+// Arquivo JSON: [{ "id": "ana", "role": "operator", "key_sha256": "<sha256 hex da chave>" }]
+// Só o hash da chave fica em disco; a chave em si é entregue ao cliente uma vez.
+function loadApiKeys(path) {
+  const raw = fs.readFileSync(path, "utf8").trim();
+  if (!raw) throw new Error("api keys file empty");
+  const list = JSON.parse(raw);
+  if (!Array.isArray(list)) throw new Error("api keys file must be a JSON array");
+
+  const byHash = new Map();
+  for (const k of list) {
+    if (!k || typeof k.id !== "string" || !k.id) throw new Error("api key entry without id");
+    if (!ROLES.includes(k.role)) throw new Error(`api key ${k.id}: unknown role ${k.role}`);
+    if (!/^[0-9a-f]{64}$/.test(k.key_sha256 || "")) throw new Error(`api key ${k.id}: key_sha256 must be sha256 hex`);
+    byHash.set(k.key_sha256, { id: k.id, role: k.role });
+  }
+  return byHash;
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function signJwt(secret, claims) {
+  const head = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = b64url(JSON.stringify(claims));
+  const sig = crypto.createHmac("sha256", secret).update(`${head}.${body}`).digest();
+  return `${head}.${body}.${b64url(sig)}`;
+}
+
+// Devolve as claims ou null (assinatura, alg ou exp inválidos)
+function verifyJwt(secret, token) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+  const [head, body, sig] = parts;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(head, "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (header?.alg !== "HS256" || !claims || typeof claims !== "object") return null;
+
+  const expected = crypto.createHmac("sha256", secret).update(`${head}.${body}`).digest();
+  const got = Buffer.from(sig, "base64url");
+  if (got.length !== expected.length || !crypto.timingSafeEqual(got, expected)) return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || claims.exp <= now) return null;
+  if (typeof claims.nbf === "number" && claims.nbf > now) return null;
+  return claims;
+}
+
+// { apiKeys: Map(sha256 -> {id, role}), jwtSecret, tokenTtlSec }
+function createAuth({ apiKeys, jwtSecret, tokenTtlSec }) {
+  function actorFromApiKey(key) {
+    const k = apiKeys.get(sha256Hex(key));
+    return k ? { id: k.id, role: k.role, auth: "api_key" } : null;
+  }
+
+  // JWT emitido por /api/auth/login ou por um emissor externo com o mesmo segredo (sub + role)
+  function actorFromJwt(token) {
+    const claims = verifyJwt(jwtSecret, token);
+    if (!claims || typeof claims.sub !== "string" || !ROLES.includes(claims.role)) return null;
+    return { id: claims.sub, role: claims.role, auth: "jwt" };
+  }
+
+  function authenticate(req) {
+    const key = req.get("x-api-key");
+    if (key) return actorFromApiKey(key);
+    const m = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+    if (m) return actorFromJwt(m[1].trim());
+    return null;
+  }
+
+  function issueToken(actor) {
+    const iat = Math.floor(Date.now() / 1000);
+    const exp = iat + tokenTtlSec;
+    return { token: signJwt(jwtSecret, { sub: actor.id, role: actor.role, iat, exp }), expires_at: new Date(exp * 1000).toISOString() };
+  }
+
+  // Montado em /api/read e /api/cmd (app.use segue o mesmo casamento de rotas do router);
+  // health, metrics e login ficam fora. Sem escopo reconhecido nega, em vez de deixar passar.
+  function middleware(req, res, next) {
+    const scope = scopeFor(req.baseUrl + req.path);
+    if (!scope) return res.status(404).json({ ok: false, error: "not found" });
+
+    const actor = authenticate(req);
+    if (!actor) return res.status(401).json({ ok: false, error: "unauthorized" });
+    if (!ROLE_SCOPES[actor.role].includes(scope)) {
+      return res.status(403).json({ ok: false, error: "forbidden", required: scope, role: actor.role });
+    }
+    req.actor = actor;
+    next();
+  }
+
+  // Última barreira antes dos handlers de comando: nenhum comando roda sem ator
+  function requireActor(req, res, next) {
+    if (!req.actor) return res.status(401).json({ ok: false, error: "unauthorized" });
+    next();
+  }
+
+  return { authenticate, actorFromApiKey, issueToken, middleware, requireActor };
+}
+
+module.exports = { ROLES, ROLE_SCOPES, loadApiKeys, signJwt, verifyJwt, createAuth };
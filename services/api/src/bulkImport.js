@@ -0,0 +1,97 @@
+// Importação em lote de locations: converte CSV ou GeoJSON FeatureCollection em linhas
+// { row, data } no formato de LocationCreate (a validação fica com o zod da rota).
+
+// CSV (RFC 4180): vírgula, aspas duplas com "" como escape, CRLF ou LF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error("unterminated quoted field");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const blank = (cells) => cells.every(f => f.trim() === "");
+
+const CSV_NUMBER_COLUMNS = new Set(["lat", "lon"]);
+const CSV_JSON_COLUMNS = new Set(["rule_overrides"]);
+
+// Cabeçalho obrigatório (name, lat, lon; opcionais risk_profile, weather_provider, rule_overrides em JSON).
+// Célula vazia = campo ausente; número/JSON inválido chega ao zod como está e vira erro da linha.
+function rowsFromCsv(text) {
+  const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header || blank(header)) throw new Error("empty csv");
+  const columns = header.map(h => h.trim().toLowerCase());
+  for (const required of ["name", "lat", "lon"]) {
+    if (!columns.includes(required)) throw new Error(`csv header missing column ${required}`);
+  }
+
+  const out = [];
+  lines.forEach((cells, i) => {
+    if (blank(cells)) return;
+    const data = {};
+    columns.forEach((col, k) => {
+      const raw = (cells[k] ?? "").trim();
+      if (raw === "") return;
+      if (CSV_NUMBER_COLUMNS.has(col)) data[col] = Number.isNaN(Number(raw)) ? raw : Number(raw);
+      else if (CSV_JSON_COLUMNS.has(col)) {
+        try { data[col] = JSON.parse(raw); } catch { data[col] = raw; }
+      } else data[col] = raw;
+    });
+    // linha 1 é o cabeçalho
+    out.push({ row: i + 2, data });
+  });
+  return out;
+}
+
+// Features Point: coordinates [lon, lat]; demais campos vêm de properties
+function rowsFromGeoJson(doc) {
+  if (!doc || doc.type !== "FeatureCollection" || !Array.isArray(doc.features)) {
+    throw new Error("expected a GeoJSON FeatureCollection");
+  }
+
+  return doc.features.map((f, i) => {
+    const row = i + 1;
+    if (!f || f.type !== "Feature" || f.geometry?.type !== "Point") {
+      return { row, error: "feature must be a Point" };
+    }
+    const [lon, lat] = f.geometry.coordinates || [];
+    const { name, risk_profile, weather_provider, rule_overrides } = f.properties || {};
+    const data = { name, lat, lon, risk_profile, weather_provider, rule_overrides };
+    for (const k of Object.keys(data)) if (data[k] === undefined) delete data[k];
+    return { row, data };
+  });
+}
+
+// Chave de deduplicação: nome normalizado + coordenadas com 5 casas (~1 m)
+function dedupeKey({ name, lat, lon }) {
+  return `${name.trim().toLowerCase()}|${Number(lat).toFixed(5)}|${Number(lon).toFixed(5)}`;
+}
+
+module.exports = { parseCsv, rowsFromCsv, rowsFromGeoJson, dedupeKey };
@@ -0,0 +1,106 @@
+// Idempotency-Key nos comandos: a primeira requisição com a chave executa e tem a resposta guardada;
+// repetições (mesmo ator, mesma chave, mesma requisição) recebem a resposta guardada sem tocar no ledger.
+const { sha256Hex, stableStringify } = require("n29-climarisk-ledger");
+
+const KEY_RE = /^[\x21-\x7e]{1,200}$/;
+
+function requestHash(req) {
+  return sha256Hex(stableStringify({ method: req.method, url: req.originalUrl, body: req.body ?? null }));
+}
+
+// { pool, ttlSec }: chaves expiram após ttlSec e podem ser reutilizadas
+function createIdempotency({ pool, ttlSec }) {
+  let lastPurge = 0;
+
+  async function purgeExpired() {
+    if (Date.now() - lastPurge < 60_000) return;
+    lastPurge = Date.now();
+    await pool.query("delete from idempotency_keys where created_at < now() - make_interval(secs => $1)", [ttlSec]);
+  }
+
+  // Reserva a chave; devolve null se reservou ou a linha existente
+  async function claim(actorId, key, hash) {
+    await pool.query(
+      "delete from idempotency_keys where actor_id=$1 and key=$2 and created_at < now() - make_interval(secs => $3)",
+      [actorId, key, ttlSec]
+    );
+    const ins = await pool.query(
+      `insert into idempotency_keys(actor_id, key, request_hash) values($1,$2,$3)
+       on conflict (actor_id, key) do nothing returning key`,
+      [actorId, key, hash]
+    );
+    if (ins.rowCount === 1) return null;
+    const cur = await pool.query(
+      "select request_hash, status_code, response from idempotency_keys where actor_id=$1 and key=$2",
+      [actorId, key]
+    );
+    // expirou/foi liberada entre o insert e o select: trata como em andamento, o cliente repete
+    return cur.rows[0] || { request_hash: hash, status_code: null };
+  }
+
+  // Montado depois da autenticação (usa req.actor) e dos parsers de corpo (o corpo entra no hash)
+  async function middleware(req, res, next) {
+    const key = req.get("idempotency-key");
+    if (key === undefined) return next();
+    if (!KEY_RE.test(key)) return res.status(400).json({ ok: false, error: "invalid Idempotency-Key" });
+
+    // sem ator não há escopo para a chave; não depende da ordem de montagem dos middlewares
+    if (!req.actor) return res.status(401).json({ ok: false, error: "unauthorized" });
+    const actorId = req.actor.id;
+
+    let hash;
+    let existing;
+    try {
+      hash = requestHash(req);
+      await purgeExpired();
+      existing = await claim(actorId, key, hash);
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: "idempotency store unavailable" });
+    }
+
+    if (existing) {
+      if (existing.request_hash !== hash) {
+        return res.status(422).json({ ok: false, error: "Idempotency-Key reused with a different request" });
+      }
+      if (existing.status_code === null) {
+        return res.status(409).json({ ok: false, error: "request with this Idempotency-Key still in progress" });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.status_code).json(existing.response);
+    }
+
+    // guarda a resposta final (< 500) antes de enviá-la: quando o cliente a recebe, a repetição já é replay.
+    // Erro do servidor, resposta não-JSON ou conexão perdida liberam a chave para nova tentativa.
+    let stored = false;
+    const release = () =>
+      pool.query("delete from idempotency_keys where actor_id=$1 and key=$2", [actorId, key])
+        .catch((e) => console.error("[api] idempotency release failed:", e.message));
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 500) return json(body);
+      stored = true;
+      pool.query(
+        "update idempotency_keys set status_code=$3, response=$4 where actor_id=$1 and key=$2",
+        [actorId, key, res.statusCode, JSON.stringify(body)]
+      ).then(
+        () => json(body),
+        (e) => {
+          console.error("[api] idempotency store failed:", e.message);
+          release();
+          json(body);
+        }
+      );
+      return res;
+    };
+
+    res.on("close", () => {
+      if (!stored) release();
+    });
+    next();
+  }
+
+  return { middleware };
+}
+
+module.exports = { createIdempotency };
@@ -5,24 +5,18 @@ const { Pool } = require("pg");
 const { Queue } = require("bullmq");
 const promClient = require("prom-client");
 const { z } = require("zod");
+const { rowsFromCsv, rowsFromGeoJson, dedupeKey } = require("./bulkImport");
+const { AreaGeometry, AreaAggregation, rowsFromAreaGeoJson, areaKey } = require("./areas");
+const { loadApiKeys, createAuth } = require("./auth");
+const { createIdempotency } = require("./idempotency");
+const { createLiveStream } = require("./live");
+const ledger = require("n29-climarisk-ledger");
+const { sha256Hex, stableStringify, withTransaction } = ledger;
 
-function sha256Hex(s) {
-  return crypto.createHash("sha256").update(s, "utf8").digest("hex");
-}
-
-// Serialização estável (determinística) + suporte a Date/toJSON
-function stableStringify(v) {
-  if (v === null || v === undefined) return "null";
-  if (typeof v === "number") return Number.isFinite(v) ? String(v) : "null";
-  if (typeof v === "boolean") return v ? "true" : "false";
-  if (typeof v === "string") return JSON.stringify(v);
-  if (Array.isArray(v)) return "[" + v.map(stableStringify).join(",") + "]";
-  if (typeof v === "object") {
-    if (typeof v.toJSON === "function") return stableStringify(v.toJSON());
-    const keys = Object.keys(v).sort();
-    return "{" + keys.map(k => JSON.stringify(k) + ":" + stableStringify(v[k])).join(",") + "}";
-  }
-  return "null";
+function readSecretFile(path, what) {
+  const raw = fs.readFileSync(path, "utf8").trim();
+  if (!raw) throw new Error(`${what} file empty`);
+  return raw;
 }
 
 function readKeyFromFile(path) {
@@ -35,16 +29,76 @@ const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 const DATABASE_URL = process.env.DATABASE_URL;
 const REDIS_URL = process.env.REDIS_URL;
 const QUEUE_NAME = process.env.QUEUE_NAME || "climarisk";
+const LIVE_QUEUE_NAME = process.env.LIVE_QUEUE_NAME || `${QUEUE_NAME}-live`;
+const LIVE_HEARTBEAT_SEC = process.env.LIVE_HEARTBEAT_SEC ? Number(process.env.LIVE_HEARTBEAT_SEC) : 25;
 const OWM_API_KEY_FILE = process.env.OWM_API_KEY_FILE || "/run/secrets/owm_api_key";
+const IMPORT_MAX_ROWS = process.env.IMPORT_MAX_ROWS ? Number(process.env.IMPORT_MAX_ROWS) : 5000;
+// refresh inicial do lote: IMPORT_REFRESH_BATCH jobs a cada IMPORT_REFRESH_INTERVAL_SEC (protege a cota do provider)
+const IMPORT_REFRESH_BATCH = process.env.IMPORT_REFRESH_BATCH ? Number(process.env.IMPORT_REFRESH_BATCH) : 25;
+const IMPORT_REFRESH_INTERVAL_SEC = process.env.IMPORT_REFRESH_INTERVAL_SEC ? Number(process.env.IMPORT_REFRESH_INTERVAL_SEC) : 10;
+const LEDGER_SIGNING_KEY_FILE = process.env.LEDGER_SIGNING_KEY_FILE || "/run/secrets/ledger_signing_key";
+// opcional: chaves públicas aposentadas e id do primeiro evento assinado (ledger anterior à assinatura)
+const LEDGER_KEYRING_FILE = process.env.LEDGER_KEYRING_FILE || "";
+const ANCHOR_TARGET = process.env.ANCHOR_TARGET || "";
+const API_KEYS_FILE = process.env.API_KEYS_FILE || "/run/secrets/api_keys";
+const JWT_SECRET_FILE = process.env.JWT_SECRET_FILE || "/run/secrets/jwt_secret";
+const AUTH_TOKEN_TTL_SEC = process.env.AUTH_TOKEN_TTL_SEC ? Number(process.env.AUTH_TOKEN_TTL_SEC) : 8 * 3600;
+// política de retry dos jobs da fila principal (refresh, forecast, agenda, âncoras)
+const JOB_ATTEMPTS = process.env.JOB_ATTEMPTS ? Number(process.env.JOB_ATTEMPTS) : 3;
+const JOB_BACKOFF_MS = process.env.JOB_BACKOFF_MS ? Number(process.env.JOB_BACKOFF_MS) : 5000;
+const IDEMPOTENCY_TTL_SEC = process.env.IDEMPOTENCY_TTL_SEC ? Number(process.env.IDEMPOTENCY_TTL_SEC) : 24 * 3600;
+// verificação incremental periódica do ledger (mantém os gauges de auditoria frescos); 0 desativa
+const AUDIT_INTERVAL_SEC = process.env.AUDIT_INTERVAL_SEC ? Number(process.env.AUDIT_INTERVAL_SEC) : 900;
+// receptores de webhook na rede interna aceitos de propósito (o resto precisa resolver para IP público)
+const WEBHOOK_ALLOWED_HOSTS = ledger.parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
 
 if (!DATABASE_URL) throw new Error("DATABASE_URL missing");
 if (!REDIS_URL) throw new Error("REDIS_URL missing");
 
 const app = express();
+// /API/cmd e /api/cmd/ não podem casar rotas que a autenticação (prefixos exatos) não reconheceria
+app.set("case sensitive routing", true);
+app.set("strict routing", true);
+
+// Express 4 não encaminha a rejeição de um handler async: sem isto um erro do pg vira unhandled
+// rejection em vez de resposta. Toda rota async é registrada com asyncHandler(...), que manda o erro
+// para o error handler no fim do arquivo.
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// :id das rotas é sempre UUID (locations, áreas, rulesets, assinaturas); jobs usam :jobId (ids do BullMQ)
+const RouteId = z.string().uuid();
+app.param("id", (req, res, next, id) => {
+  if (!RouteId.safeParse(id).success) return res.status(400).json({ ok: false, error: "invalid id" });
+  next();
+});
+
 app.use(express.json({ limit: "1mb" }));
 
 const pool = new Pool({ connectionString: DATABASE_URL });
-const queue = new Queue(QUEUE_NAME, { connection: { url: REDIS_URL } });
+// mesmos defaults do worker: cada job tenta JOB_ATTEMPTS vezes com backoff exponencial antes de ir para "failed"
+const queue = new Queue(QUEUE_NAME, {
+  connection: { url: REDIS_URL },
+  defaultJobOptions: { attempts: JOB_ATTEMPTS, backoff: { type: "exponential", delay: JOB_BACKOFF_MS } }
+});
+const live = createLiveStream({ queueName: LIVE_QUEUE_NAME, connection: { url: REDIS_URL }, heartbeatSec: LIVE_HEARTBEAT_SEC });
+// Chave Ed25519 obrigatória: assina cada evento do ledger e os checkpoints de auditoria
+const signingKey = ledger.loadSigningKey(LEDGER_SIGNING_KEY_FILE);
+// Verificação aceita a chave atual e as do keyring: eventos, âncoras e checkpoints de antes de uma rotação
+const keyring = ledger.loadKeyring(LEDGER_KEYRING_FILE, [signingKey.publicKey]);
+// Destino externo das âncoras (escritas pelo worker); aqui só leitura para conferência
+const anchorTarget = ledger.createAnchorTarget(ANCHOR_TARGET, {
+  endpoint: process.env.S3_ENDPOINT,
+  region: process.env.S3_REGION,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY_FILE ? fs.readFileSync(process.env.S3_SECRET_ACCESS_KEY_FILE, "utf8").trim() : undefined
+});
+
+// Autenticação obrigatória em /api/read e /api/cmd; sem chaves configuradas a API não sobe
+const auth = createAuth({
+  apiKeys: loadApiKeys(API_KEYS_FILE),
+  jwtSecret: readSecretFile(JWT_SECRET_FILE, "jwt secret"),
+  tokenTtlSec: AUTH_TOKEN_TTL_SEC
+});
 
 // Metrics
 promClient.collectDefaultMetrics();
@@ -54,6 +108,37 @@ const httpRequests = new promClient.Counter({
   labelNames: ["method", "route", "status"]
 });
 
+// Métricas de domínio da API; as de estado (decisões atuais, tamanho do ledger) são coletadas pelo worker.
+// Mesmo nome do histograma do worker: o label job do Prometheus separa os dois.
+const ledgerAppend = new promClient.Histogram({
+  name: "climarisk_ledger_append_duration_seconds",
+  help: "Ledger append latency (advisory lock wait, hash, signature and insert)",
+  labelNames: ["event_type"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+});
+// Última verificação do ledger (periódica, GET /api/read/audit/verify ou checkpoint), por modo.
+// Zeram no restart até a primeira auditoria periódica; o alerta de auditoria parada cobre o intervalo.
+const auditLastOk = new promClient.Gauge({
+  name: "climarisk_audit_last_ok",
+  help: "1 if the last ledger audit verified the chain, 0 if it found errors",
+  labelNames: ["mode"]
+});
+const auditLastErrors = new promClient.Gauge({
+  name: "climarisk_audit_last_errors",
+  help: "Errors found by the last ledger audit (capped)",
+  labelNames: ["mode"]
+});
+const auditLastEvents = new promClient.Gauge({
+  name: "climarisk_audit_last_events_verified",
+  help: "Events checked by the last ledger audit",
+  labelNames: ["mode"]
+});
+const auditLastRun = new promClient.Gauge({
+  name: "climarisk_audit_last_run_timestamp_seconds",
+  help: "Unix time of the last ledger audit",
+  labelNames: ["mode"]
+});
+
 app.use((req, res, next) => {
   res.on("finish", () => {
     const route = (req.route && req.route.path) ? req.route.path : req.path;
@@ -62,120 +147,1517 @@ app.use((req, res, next) => {
   next();
 });
 
-app.get("/metrics", async (_req, res) => {
+app.use(["/api/read", "/api/cmd"], auth.middleware);
+app.use("/api/cmd", auth.requireActor);
+
+// Idempotency-Key em /api/cmd. O corpo do import é lido aqui, e não na rota, porque entra no hash da requisição.
+app.use(
+  "/api/cmd/locations/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  express.json({ type: ["application/geo+json"], limit: "5mb" })
+);
+app.use("/api/cmd/areas/import", express.json({ type: ["application/geo+json"], limit: "5mb" }));
+app.use("/api/cmd", createIdempotency({ pool, ttlSec: IDEMPOTENCY_TTL_SEC }).middleware);
+
+app.get("/metrics", asyncHandler(async (_req, res) => {
   res.set("Content-Type", promClient.register.contentType);
   res.send(await promClient.register.metrics());
-});
+}));
 
-app.get("/api/health", async (_req, res) => {
+app.get("/api/health", asyncHandler(async (_req, res) => {
   const r = await pool.query("select 1 as ok");
   res.json({ ok: true, db: r.rows[0].ok === 1 });
+}));
+
+// ---- Sessão ----
+// Troca uma API key por um JWT de curta duração (usado pela UI); o JWT carrega id e papel do ator
+const Login = z.object({
+  api_key: z.string().min(1).max(200)
 });
 
+app.post("/api/auth/login", asyncHandler(async (req, res) => {
+  const parsed = Login.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const actor = auth.actorFromApiKey(parsed.data.api_key);
+  if (!actor) return res.status(401).json({ ok: false, error: "invalid api key" });
+
+  const { token, expires_at } = auth.issueToken(actor);
+  res.json({ ok: true, token, expires_at, actor: { id: actor.id, role: actor.role } });
+}));
+
+app.get("/api/auth/me", asyncHandler(async (req, res) => {
+  const actor = auth.authenticate(req);
+  if (!actor) return res.status(401).json({ ok: false, error: "unauthorized" });
+  res.json({ ok: true, actor });
+}));
+
 // ---- Ledger append (imutável, hash-chain) ----
-async function appendLedgerEvent(eventType, payloadObj) {
-  const last = await pool.query("select event_hash from ledger_events order by id desc limit 1");
-  const prevHash = last.rows[0].event_hash;
+// Escrita de projeção + evento do ledger sempre na mesma transação (n29-climarisk-ledger)
+// Eventos gravados em cada transação; só vão para o stream ao vivo depois do commit
+const appendedIn = new WeakMap();
 
-  const canonical = prevHash + "\n" + stableStringify({ event_type: eventType, payload: payloadObj });
-  const eventHash = sha256Hex(canonical);
+async function inLedgerTx(fn) {
+  const appended = [];
+  const result = await withTransaction(pool, (tx) => {
+    appendedIn.set(tx, appended);
+    return fn(tx);
+  });
+  for (const a of appended) live.ledgerAppended(a.eventType, a.payload, a.ev);
+  return result;
+}
 
-  await pool.query(
-    "insert into ledger_events(event_type, payload, prev_hash, event_hash) values($1,$2,$3,$4)",
-    [eventType, payloadObj, prevHash, eventHash]
-  );
+// Todo comando grava quem o emitiu (req.actor): a responsabilidade fica provável pela cadeia
+async function appendLedgerEvent(tx, actor, eventType, payloadObj) {
+  const payload = { ...payloadObj, actor };
+  const end = ledgerAppend.startTimer({ event_type: eventType });
+  const ev = await ledger.appendLedgerEvent(tx, eventType, payload, { signingKey });
+  end();
+  appendedIn.get(tx)?.push({ eventType, payload, ev });
+  return ev;
+}
+
+// Um job pendente por location e tipo: pedidos repetidos (duplo clique, agenda, retry do cliente) enquanto
+// ele não termina colapsam nele. Mesmo id de deduplicação usado pela agenda do worker.
+function refreshDedupId(name, locationId) {
+  return `${name}:${locationId}`;
+}
+
+function refreshJobOpts(name, locationId, extra) {
+  return { removeOnComplete: true, removeOnFail: 100, deduplication: { id: refreshDedupId(name, locationId) }, ...extra };
+}
+
+// Lote grande: mesmos jobs de enqueueRefresh, escalonados com delay em grupos de IMPORT_REFRESH_BATCH
+async function enqueueRefreshBatches(locationIds) {
+  const jobs = [];
+  locationIds.forEach((locationId, i) => {
+    const delay = Math.floor(i / IMPORT_REFRESH_BATCH) * IMPORT_REFRESH_INTERVAL_SEC * 1000;
+    jobs.push({ name: "refresh-location", data: { locationId, trigger: "import" }, opts: refreshJobOpts("refresh-location", locationId, { delay }) });
+    jobs.push({ name: "forecast-location", data: { locationId, trigger: "import" }, opts: refreshJobOpts("forecast-location", locationId, { delay }) });
+  });
+  if (jobs.length) {
+    for (const job of await queue.addBulk(jobs)) live.jobQueued(job);
+  }
+  return { batches: Math.ceil(locationIds.length / IMPORT_REFRESH_BATCH), last_delay_sec: Math.floor(Math.max(0, locationIds.length - 1) / IMPORT_REFRESH_BATCH) * IMPORT_REFRESH_INTERVAL_SEC };
+}
+
+// Remove jobs ainda não iniciados (aguardando, atrasados, priorizados) de um location.
+// Jobs já em execução não podem ser removidos: o worker reconfere is_active antes de gravar.
+// Pendentes achados pelo id de deduplicação, sem varrer a fila. Jobs enfileirados sem deduplicação
+// (refresh depois de mover o location) ficam de fora; o worker os conclui sem gravar (skipped: inactive).
+async function cancelLocationJobs(locationId) {
+  let cancelled = 0;
+  for (const name of ["refresh-location", "forecast-location"]) {
+    const jobId = await queue.getDeduplicationJobId(refreshDedupId(name, locationId));
+    const job = jobId ? await queue.getJob(jobId) : null;
+    if (!job) continue;
+    try {
+      await job.remove();
+      cancelled++;
+    } catch {
+      // pegou o lock no meio do caminho: vira "em execução" e o worker o conclui sem gravar
+    }
+  }
+  return cancelled;
+}
+
+// Reavaliação = decisão atual + decisão preditiva (previsão), em jobs independentes.
+// dedupe=false quando a entrada mudou (location movido): um job já em execução leu a coordenada antiga.
+async function enqueueRefresh(locationId, { dedupe = true } = {}) {
+  const opts = (name) => (dedupe ? refreshJobOpts(name, locationId) : { removeOnComplete: true, removeOnFail: 100 });
+  const job = await queue.add("refresh-location", { locationId }, opts("refresh-location"));
+  const forecast = await queue.add("forecast-location", { locationId }, opts("forecast-location"));
+  live.jobQueued(job);
+  live.jobQueued(forecast);
+  return job;
+}
 
-  return { prevHash, eventHash };
+// Decisão agregada das áreas é do worker: comandos que mudam a área ou quem está nela só pedem o recálculo.
+// Sem deduplicação: um recálculo já em execução pode ter lido o estado anterior ao comando.
+async function enqueueAreaRecompute(areaIds, trigger) {
+  const jobs = await queue.addBulk(areaIds.map(areaId => ({
+    name: "recompute-area",
+    data: { areaId, trigger },
+    opts: { removeOnComplete: true, removeOnFail: 100 }
+  })));
+  for (const job of jobs) live.jobQueued(job);
+  return jobs.length;
+}
+
+// Áreas ativas que contêm o ponto (geojson_contains em infra/postgres/init.sql)
+async function areasAt(points) {
+  const ids = new Set();
+  for (const { lat, lon } of points) {
+    const q = await pool.query("select id from areas where is_active=true and geojson_contains(geometry, $1, $2)", [lon, lat]);
+    for (const r of q.rows) ids.add(r.id);
+  }
+  return [...ids];
 }
 
 // ---- Commands ----
+const Decision = z.enum(["NORMAL", "ALERT", "CRITICAL"]);
+
+// Perfis aplicados pelo worker (RISK_PROFILES em services/ledger/src/rules.js, compartilhado)
+const RiskProfile = z.enum(Object.keys(ledger.RISK_PROFILES));
+// Providers registrados no worker (services/worker/src/providers)
+const WeatherProvider = z.enum(["openweathermap", "open-meteo", "fixture"]);
+const RuleOverrides = z.record(z.string().regex(/^[A-Z0-9_\-]{1,40}$/), z.number().finite());
+
 const LocationCreate = z.object({
   name: z.string().min(1).max(80),
   lat: z.number().min(-90).max(90),
-  lon: z.number().min(-180).max(180)
+  lon: z.number().min(-180).max(180),
+  risk_profile: RiskProfile.nullable().optional(),
+  rule_overrides: RuleOverrides.nullable().optional(),
+  weather_provider: WeatherProvider.nullable().optional()
+});
+
+// Renomear e/ou mover; ao menos um campo
+const LocationUpdate = z.object({
+  name: z.string().min(1).max(80).optional(),
+  lat: z.number().min(-90).max(90).optional(),
+  lon: z.number().min(-180).max(180).optional()
+}).strict().refine(v => Object.keys(v).length > 0, { message: "nothing to update" });
+
+const LocationDeactivate = z.object({
+  reason: z.string().max(200).optional()
+});
+
+const LocationProfileSet = z.object({
+  risk_profile: RiskProfile.nullable(),
+  rule_overrides: RuleOverrides.nullable().optional()
+});
+
+const LocationProviderSet = z.object({
+  weather_provider: WeatherProvider.nullable()
 });
 
-app.post("/api/cmd/locations", async (req, res) => {
+app.post("/api/cmd/locations", asyncHandler(async (req, res) => {
   const parsed = LocationCreate.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
 
-  const { name, lat, lon } = parsed.data;
-
-  // NOTA: remove created_at do payload (era a fonte do mismatch)
-  const q = await pool.query(
-    "insert into locations(name, lat, lon) values($1,$2,$3) returning id, name, lat, lon, is_active",
-    [name, lat, lon]
-  );
-  const loc = q.rows[0];
+  const { name, lat, lon, risk_profile = null, rule_overrides = null, weather_provider = null } = parsed.data;
 
-  await appendLedgerEvent("CMD_LOCATION_ADD", { location: loc });
+  const loc = await inLedgerTx(async (tx) => {
+    // NOTA: remove created_at do payload (era a fonte do mismatch)
+    const q = await tx.query(
+      `insert into locations(name, lat, lon, risk_profile, rule_overrides, weather_provider) values($1,$2,$3,$4,$5,$6)
+       returning id, name, lat, lon, is_active, risk_profile, rule_overrides, weather_provider`,
+      [name, lat, lon, risk_profile, rule_overrides, weather_provider]
+    );
+    await appendLedgerEvent(tx, req.actor, "CMD_LOCATION_ADD", { location: q.rows[0] });
+    return q.rows[0];
+  });
 
-  await queue.add("refresh-location", { locationId: loc.id }, { removeOnComplete: true, removeOnFail: 100 });
+  await enqueueRefresh(loc.id);
 
   res.json({ ok: true, location: loc });
+}));
+
+// ---- Importação em lote (CSV / GeoJSON) ----
+// Cada linha passa pelo mesmo LocationCreate; linhas inválidas e duplicadas (nome + coordenadas, contra
+// o banco e dentro do próprio arquivo) são reportadas e as válidas entram num único evento CMD_LOCATION_IMPORT.
+const ImportQuery = z.object({
+  dry_run: z.enum(["0", "1"]).default("0")
 });
 
-app.post("/api/cmd/locations/:id/refresh", async (req, res) => {
+app.post(
+  "/api/cmd/locations/import",
+  asyncHandler(async (req, res) => {
+    const q = ImportQuery.safeParse(req.query);
+    if (!q.success) return res.status(400).json({ ok: false, error: q.error.flatten() });
+
+    let source;
+    let rows;
+    try {
+      if (typeof req.body === "string") {
+        source = "csv";
+        rows = rowsFromCsv(req.body);
+      } else {
+        source = "geojson";
+        rows = rowsFromGeoJson(req.body);
+      }
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: String(e.message || e) });
+    }
+    if (rows.length === 0) return res.status(400).json({ ok: false, error: "no rows" });
+    if (rows.length > IMPORT_MAX_ROWS) return res.status(413).json({ ok: false, error: `too many rows (max ${IMPORT_MAX_ROWS})` });
+
+    const errors = [];
+    const valid = [];
+    for (const r of rows) {
+      if (r.error) { errors.push({ row: r.row, error: r.error }); continue; }
+      const parsed = LocationCreate.safeParse(r.data);
+      if (!parsed.success) errors.push({ row: r.row, error: parsed.error.flatten() });
+      else valid.push({ row: r.row, data: parsed.data });
+    }
+
+    const result = await inLedgerTx(async (tx) => {
+      const existing = await tx.query("select id, name, lat, lon from locations");
+      const seen = new Map(existing.rows.map(l => [dedupeKey(l), { location_id: l.id }]));
+
+      const duplicates = [];
+      const fresh = [];
+      for (const v of valid) {
+        const key = dedupeKey(v.data);
+        const dup = seen.get(key);
+        if (dup) { duplicates.push({ row: v.row, ...dup }); continue; }
+        seen.set(key, { duplicate_of_row: v.row });
+        fresh.push(v);
+      }
+
+      if (q.data.dry_run === "1" || fresh.length === 0) return { created: [], pending: fresh.length, duplicates, eventHash: null };
+
+      const created = [];
+      for (const { data } of fresh) {
+        const { name, lat, lon, risk_profile = null, rule_overrides = null, weather_provider = null } = data;
+        const ins = await tx.query(
+          `insert into locations(name, lat, lon, risk_profile, rule_overrides, weather_provider) values($1,$2,$3,$4,$5,$6)
+           returning id, name, lat, lon, is_active, risk_profile, rule_overrides, weather_provider`,
+          [name, lat, lon, risk_profile, rule_overrides, weather_provider]
+        );
+        created.push(ins.rows[0]);
+      }
+
+      const { eventHash } = await appendLedgerEvent(tx, req.actor, "CMD_LOCATION_IMPORT", {
+        batch_id: crypto.randomUUID(),
+        source,
+        rows: rows.length,
+        locations: created,
+        skipped: { invalid: errors.length, duplicates: duplicates.length }
+      });
+      return { created, pending: 0, duplicates, eventHash };
+    });
+
+    const refresh = result.created.length ? await enqueueRefreshBatches(result.created.map(l => l.id)) : null;
+
+    res.json({
+      ok: true,
+      dry_run: q.data.dry_run === "1",
+      source,
+      rows: rows.length,
+      valid: valid.length,
+      created: result.created.length,
+      would_create: result.pending,
+      locations: result.created,
+      duplicates: result.duplicates,
+      errors,
+      refresh,
+      ledger_hash: result.eventHash
+    });
+  })
+);
+
+app.patch("/api/cmd/locations/:id", asyncHandler(async (req, res) => {
+  const parsed = LocationUpdate.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const id = req.params.id;
+
+  // leitura e update na mesma transação: previous é o que o update de fato substituiu, e um
+  // location desativado no meio do caminho não é alterado
+  const result = await inLedgerTx(async (tx) => {
+    const cur = await tx.query("select name, lat, lon from locations where id=$1 and is_active=true for update", [id]);
+    if (cur.rowCount === 0) return null;
+
+    const previous = cur.rows[0];
+    const next = { ...previous, ...parsed.data };
+    await tx.query("update locations set name=$2, lat=$3, lon=$4 where id=$1 and is_active=true", [id, next.name, next.lat, next.lon]);
+    const { eventHash } = await appendLedgerEvent(tx, req.actor, "CMD_LOCATION_UPDATE", { locationId: id, changes: parsed.data, previous });
+    return { previous, next, eventHash };
+  });
+  if (!result) return res.status(404).json({ ok: false, error: "location not found" });
+  const { previous, next, eventHash } = result;
+
+  // mudou de lugar: a decisão atual é de outra coordenada
+  const moved = next.lat !== previous.lat || next.lon !== previous.lon;
+  if (moved) {
+    await enqueueRefresh(id, { dedupe: false });
+    // saiu de umas áreas e entrou em outras
+    await enqueueAreaRecompute(await areasAt([previous, next]), { type: "location_moved", location_id: id });
+  }
+
+  res.json({ ok: true, locationId: id, location: next, refreshed: moved, ledger_hash: eventHash });
+}));
+
+app.post("/api/cmd/locations/:id/deactivate", asyncHandler(async (req, res) => {
+  const parsed = LocationDeactivate.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const id = req.params.id;
+  const { reason = null } = parsed.data;
+
+  const result = await inLedgerTx(async (tx) => {
+    const q = await tx.query("update locations set is_active=false where id=$1 and is_active=true returning lat, lon", [id]);
+    if (q.rowCount === 0) return null;
+    const ev = await appendLedgerEvent(tx, req.actor, "CMD_LOCATION_DEACTIVATE", { locationId: id, reason });
+    return { ...ev, point: q.rows[0] };
+  });
+  if (!result) return res.status(404).json({ ok: false, error: "active location not found" });
+
+  const cancelled = await cancelLocationJobs(id);
+  await enqueueAreaRecompute(await areasAt([result.point]), { type: "location_deactivated", location_id: id });
+  res.json({ ok: true, locationId: id, is_active: false, cancelled_jobs: cancelled, ledger_hash: result.eventHash });
+}));
+
+app.post("/api/cmd/locations/:id/reactivate", asyncHandler(async (req, res) => {
+  const id = req.params.id;
+
+  const result = await inLedgerTx(async (tx) => {
+    const q = await tx.query("update locations set is_active=true where id=$1 and is_active=false returning lat, lon", [id]);
+    if (q.rowCount === 0) return null;
+    const ev = await appendLedgerEvent(tx, req.actor, "CMD_LOCATION_REACTIVATE", { locationId: id });
+    return { ...ev, point: q.rows[0] };
+  });
+  if (!result) return res.status(404).json({ ok: false, error: "inactive location not found" });
+
+  const job = await enqueueRefresh(id);
+  // volta a contar com a última decisão que tinha
+  await enqueueAreaRecompute(await areasAt([result.point]), { type: "location_reactivated", location_id: id });
+  res.json({ ok: true, locationId: id, is_active: true, jobId: job.id, ledger_hash: result.eventHash });
+}));
+
+app.post("/api/cmd/locations/:id/profile", asyncHandler(async (req, res) => {
+  const parsed = LocationProfileSet.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const id = req.params.id;
+  const { risk_profile, rule_overrides = null } = parsed.data;
+
+  // como no PATCH: previous lido com a linha travada, na transação do update e do evento
+  const result = await inLedgerTx(async (tx) => {
+    const cur = await tx.query("select risk_profile, rule_overrides from locations where id=$1 and is_active=true for update", [id]);
+    if (cur.rowCount === 0) return null;
+
+    await tx.query("update locations set risk_profile=$2, rule_overrides=$3 where id=$1 and is_active=true", [id, risk_profile, rule_overrides]);
+    return appendLedgerEvent(tx, req.actor, "CMD_LOCATION_PROFILE_SET", {
+      locationId: id,
+      risk_profile,
+      rule_overrides,
+      previous: cur.rows[0]
+    });
+  });
+  if (!result) return res.status(404).json({ ok: false, error: "location not found" });
+  const { eventHash } = result;
+
+  res.json({ ok: true, locationId: id, risk_profile, rule_overrides, ledger_hash: eventHash });
+}));
+
+app.post("/api/cmd/locations/:id/provider", asyncHandler(async (req, res) => {
+  const parsed = LocationProviderSet.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const id = req.params.id;
+  const { weather_provider } = parsed.data;
+
+  const result = await inLedgerTx(async (tx) => {
+    const cur = await tx.query("select weather_provider from locations where id=$1 and is_active=true for update", [id]);
+    if (cur.rowCount === 0) return null;
+
+    await tx.query("update locations set weather_provider=$2 where id=$1 and is_active=true", [id, weather_provider]);
+    return appendLedgerEvent(tx, req.actor, "CMD_LOCATION_PROVIDER_SET", {
+      locationId: id,
+      weather_provider,
+      previous: cur.rows[0].weather_provider
+    });
+  });
+  if (!result) return res.status(404).json({ ok: false, error: "location not found" });
+  const { eventHash } = result;
+
+  res.json({ ok: true, locationId: id, weather_provider, ledger_hash: eventHash });
+}));
+
+app.post("/api/cmd/locations/:id/refresh", asyncHandler(async (req, res) => {
   const id = req.params.id;
   const exists = await pool.query("select id from locations where id=$1 and is_active=true", [id]);
   if (exists.rowCount === 0) return res.status(404).json({ ok: false, error: "location not found" });
 
-  await appendLedgerEvent("CMD_LOCATION_REFRESH", { locationId: id });
+  await inLedgerTx((tx) => appendLedgerEvent(tx, req.actor, "CMD_LOCATION_REFRESH", { locationId: id }));
 
-  const job = await queue.add("refresh-location", { locationId: id }, { removeOnComplete: true, removeOnFail: 100 });
+  const job = await enqueueRefresh(id);
   res.json({ ok: true, enqueued: true, jobId: job.id });
+}));
+
+// ---- Agenda de reavaliação ----
+const ScheduleSet = z.object({
+  enabled: z.boolean().optional(),
+  default_interval_sec: z.number().int().min(60).max(86400).optional(),
+  sla_sec: z.number().int().min(60).max(7 * 86400).optional()
+});
+
+const LocationScheduleSet = z.object({
+  refresh_interval_sec: z.number().int().min(60).max(86400).nullable()
 });
 
+app.post("/api/cmd/schedule", asyncHandler(async (req, res) => {
+  const parsed = ScheduleSet.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const result = await inLedgerTx(async (tx) => {
+    // agenda travada: um comando de intervalo por location (FOR SHARE) não valida contra um SLA em troca
+    const cur = await tx.query("select enabled, default_interval_sec, sla_sec from scheduler_settings for update");
+    const previous = cur.rows[0];
+    const next = { ...previous, ...parsed.data };
+
+    // nenhum intervalo (global ou por location) pode ultrapassar o SLA, senão o location nasce "stale"
+    const maxLoc = await tx.query("select max(refresh_interval_sec) as m from locations where is_active=true");
+    const longest = Math.max(next.default_interval_sec, maxLoc.rows[0].m || 0);
+    if (longest > next.sla_sec) return { error: "refresh interval exceeds sla_sec" };
+
+    await tx.query(
+      "update scheduler_settings set enabled=$1, default_interval_sec=$2, sla_sec=$3, updated_at=now()",
+      [next.enabled, next.default_interval_sec, next.sla_sec]
+    );
+    const ev = await appendLedgerEvent(tx, req.actor, "CMD_SCHEDULE_SET", { settings: next, previous });
+    return { next, eventHash: ev.eventHash };
+  });
+  if (result.error) return res.status(400).json({ ok: false, error: result.error });
+  const { next, eventHash } = result;
+
+  res.json({ ok: true, settings: next, ledger_hash: eventHash });
+}));
+
+app.post("/api/cmd/locations/:id/schedule", asyncHandler(async (req, res) => {
+  const parsed = LocationScheduleSet.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const id = req.params.id;
+  const { refresh_interval_sec } = parsed.data;
+
+  // location travado antes da agenda (FOR SHARE): um /api/cmd/schedule concorrente, que trava a agenda
+  // para baixar o SLA, espera este commit e passa a enxergar o novo intervalo
+  const result = await inLedgerTx(async (tx) => {
+    const cur = await tx.query("select refresh_interval_sec from locations where id=$1 and is_active=true for update", [id]);
+    if (cur.rowCount === 0) return { status: 404, error: "location not found" };
+
+    const cfg = await tx.query("select sla_sec from scheduler_settings for share");
+    if (refresh_interval_sec !== null && refresh_interval_sec > cfg.rows[0].sla_sec) {
+      return { status: 400, error: "refresh interval exceeds sla_sec" };
+    }
+
+    await tx.query("update locations set refresh_interval_sec=$2 where id=$1 and is_active=true", [id, refresh_interval_sec]);
+    return appendLedgerEvent(tx, req.actor, "CMD_LOCATION_SCHEDULE_SET", {
+      locationId: id,
+      refresh_interval_sec,
+      previous: cur.rows[0].refresh_interval_sec
+    });
+  });
+  if (result.error) return res.status(result.status).json({ ok: false, error: result.error });
+  const { eventHash } = result;
+
+  res.json({ ok: true, locationId: id, refresh_interval_sec, ledger_hash: eventHash });
+}));
+
+// ---- Rulesets (regras de risco versionadas) ----
+const { RulesetCreate } = ledger.createRulesetSchemas(z);
+
+function rulesHash(rules) {
+  return sha256Hex(stableStringify(rules));
+}
+
+app.post("/api/cmd/rulesets", asyncHandler(async (req, res) => {
+  const parsed = RulesetCreate.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const { name, rules } = parsed.data;
+  const contentHash = rulesHash(rules);
+
+  const { ruleset, eventHash } = await inLedgerTx(async (tx) => {
+    // lock do ledger antes do max(version): criações concorrentes numeram em série
+    await ledger.lockLedger(tx);
+    // versão 1 é reservada às regras embutidas do worker
+    const q = await tx.query(
+      `insert into rulesets(name, version, rules, content_hash)
+       select $1, coalesce(max(version), 1) + 1, $2, $3 from rulesets
+       returning id, name, version, status, rules, content_hash`,
+      [name, JSON.stringify(rules), contentHash]
+    );
+    const { eventHash } = await appendLedgerEvent(tx, req.actor, "CMD_RULESET_CREATE", { ruleset: q.rows[0] });
+    return { ruleset: q.rows[0], eventHash };
+  });
+
+  res.json({ ok: true, ruleset, ledger_hash: eventHash });
+}));
+
+app.post("/api/cmd/rulesets/:id/activate", asyncHandler(async (req, res) => {
+  const id = req.params.id;
+
+  // leitura e troca sob o lock do ledger: duas ativações concorrentes não disputam uq_rulesets_active
+  const result = await inLedgerTx(async (tx) => {
+    await ledger.lockLedger(tx);
+    const q = await tx.query("select id, version, status, content_hash from rulesets where id=$1 for update", [id]);
+    if (q.rowCount === 0) return { error: [404, "ruleset not found"] };
+    const target = q.rows[0];
+    if (target.status === "ACTIVE") return { error: [409, "ruleset already active"] };
+
+    const prev = await tx.query(
+      "update rulesets set status='RETIRED', retired_at=now() where status='ACTIVE' returning id, version, content_hash"
+    );
+    await tx.query("update rulesets set status='ACTIVE', activated_at=now(), retired_at=null where id=$1", [id]);
+
+    const { eventHash } = await appendLedgerEvent(tx, req.actor, "CMD_RULESET_ACTIVATE", {
+      ruleset: { id: target.id, version: target.version, content_hash: target.content_hash },
+      retired: prev.rows[0] || null
+    });
+    return { target, retired: prev.rows[0] || null, eventHash };
+  });
+  if (result.error) return res.status(result.error[0]).json({ ok: false, error: result.error[1] });
+
+  const { target, retired, eventHash } = result;
+  res.json({ ok: true, activated: target.id, retired: retired?.id || null, ledger_hash: eventHash });
+}));
+
+app.post("/api/cmd/rulesets/:id/retire", asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const result = await inLedgerTx(async (tx) => {
+    const q = await tx.query(
+      "update rulesets set status='RETIRED', retired_at=now() where id=$1 and status<>'RETIRED' returning id, version, content_hash",
+      [id]
+    );
+    if (q.rowCount === 0) return null;
+    return appendLedgerEvent(tx, req.actor, "CMD_RULESET_RETIRE", { ruleset: q.rows[0] });
+  });
+  if (!result) return res.status(404).json({ ok: false, error: "ruleset not found or already retired" });
+
+  res.json({ ok: true, retired: id, ledger_hash: result.eventHash });
+}));
+
+// ---- Webhooks (notificação de transição de decisão) ----
+const SubscriptionCreate = z.object({
+  url: z.string().url().refine(u => /^https?:\/\//.test(u), { message: "url must be http(s)" }),
+  location_id: z.string().uuid().nullable().optional(),
+  severities: z.array(Decision).min(1).default(["ALERT", "CRITICAL"])
+});
+
+app.post("/api/cmd/subscriptions", asyncHandler(async (req, res) => {
+  const parsed = SubscriptionCreate.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const { url, location_id = null, severities } = parsed.data;
+
+  // SSRF: o worker faria o POST de dentro da rede do compose
+  const urlError = await ledger.outboundUrlError(url, { allowedHosts: WEBHOOK_ALLOWED_HOSTS });
+  if (urlError) return res.status(400).json({ ok: false, error: urlError });
+
+  if (location_id) {
+    const exists = await pool.query("select id from locations where id=$1 and is_active=true", [location_id]);
+    if (exists.rowCount === 0) return res.status(404).json({ ok: false, error: "location not found" });
+  }
+
+  // segredo HMAC é devolvido só nesta resposta; o ledger guarda apenas o hash dele
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  const { subscription, eventHash } = await inLedgerTx(async (tx) => {
+    const q = await tx.query(
+      `insert into subscriptions(url, location_id, severities, secret) values($1,$2,$3,$4)
+       returning id, url, location_id, severities, is_active`,
+      [url, location_id, severities, secret]
+    );
+    const { eventHash } = await appendLedgerEvent(tx, req.actor, "CMD_SUBSCRIPTION_CREATE", {
+      subscription: { ...q.rows[0], secret_sha256: sha256Hex(secret) }
+    });
+    return { subscription: q.rows[0], eventHash };
+  });
+
+  res.json({ ok: true, subscription, secret, ledger_hash: eventHash });
+}));
+
+app.post("/api/cmd/subscriptions/:id/disable", asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const result = await inLedgerTx(async (tx) => {
+    const q = await tx.query("update subscriptions set is_active=false where id=$1 and is_active=true returning id", [id]);
+    if (q.rowCount === 0) return null;
+    return appendLedgerEvent(tx, req.actor, "CMD_SUBSCRIPTION_DISABLE", { subscriptionId: id });
+  });
+  if (!result) return res.status(404).json({ ok: false, error: "subscription not found" });
+
+  res.json({ ok: true, disabled: id, ledger_hash: result.eventHash });
+}));
+
+// ---- Áreas geográficas (risco regional agregado) ----
+// A API mantém a área (geometria + regra de agregação); a decisão agregada é calculada pelo worker
+// (job recompute-area e a cada mudança de decisão de um membro) e gravada como AREA_DECISION.
+const AreaCreate = z.object({
+  name: z.string().min(1).max(80),
+  kind: z.string().min(1).max(40).nullable().optional(),
+  geometry: AreaGeometry,
+  aggregation: AreaAggregation.default({ mode: "worst" })
+});
+
+const AreaUpdate = z.object({
+  name: z.string().min(1).max(80).optional(),
+  kind: z.string().min(1).max(40).nullable().optional(),
+  geometry: AreaGeometry.optional(),
+  aggregation: AreaAggregation.optional()
+}).strict().refine(v => Object.keys(v).length > 0, { message: "nothing to update" });
+
+const AreaDeactivate = z.object({
+  reason: z.string().max(200).optional()
+});
+
+const AREA_COLUMNS = "id, name, kind, geometry, aggregation, is_active";
+
+async function insertArea(tx, { name, kind = null, geometry, aggregation }) {
+  const q = await tx.query(
+    `insert into areas(name, kind, geometry, aggregation) values($1,$2,$3,$4) returning ${AREA_COLUMNS}`,
+    [name, kind, JSON.stringify(geometry), JSON.stringify(aggregation)]
+  );
+  return q.rows[0];
+}
+
+app.post("/api/cmd/areas", asyncHandler(async (req, res) => {
+  const parsed = AreaCreate.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const { area, eventHash } = await inLedgerTx(async (tx) => {
+    const area = await insertArea(tx, parsed.data);
+    const { eventHash } = await appendLedgerEvent(tx, req.actor, "CMD_AREA_ADD", { area });
+    return { area, eventHash };
+  });
+
+  await enqueueAreaRecompute([area.id], { type: "area_added" });
+  res.json({ ok: true, area, ledger_hash: eventHash });
+}));
+
+// Lote: features inválidas e duplicadas (nome + kind, contra o banco e dentro do arquivo) são reportadas;
+// as válidas entram num único evento CMD_AREA_IMPORT
+app.post("/api/cmd/areas/import", asyncHandler(async (req, res) => {
+  const q = ImportQuery.safeParse(req.query);
+  if (!q.success) return res.status(400).json({ ok: false, error: q.error.flatten() });
+
+  let rows;
+  try {
+    rows = rowsFromAreaGeoJson(req.body);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+  if (rows.length === 0) return res.status(400).json({ ok: false, error: "no features" });
+  if (rows.length > IMPORT_MAX_ROWS) return res.status(413).json({ ok: false, error: `too many features (max ${IMPORT_MAX_ROWS})` });
+
+  const errors = [];
+  const valid = [];
+  for (const r of rows) {
+    if (r.error) { errors.push({ row: r.row, error: r.error }); continue; }
+    const parsed = AreaCreate.safeParse(r.data);
+    if (!parsed.success) errors.push({ row: r.row, error: parsed.error.flatten() });
+    else valid.push({ row: r.row, data: parsed.data });
+  }
+
+  const result = await inLedgerTx(async (tx) => {
+    const existing = await tx.query("select id, name, kind from areas where is_active=true");
+    const seen = new Map(existing.rows.map(a => [areaKey(a), { area_id: a.id }]));
+
+    const duplicates = [];
+    const fresh = [];
+    for (const v of valid) {
+      const key = areaKey(v.data);
+      const dup = seen.get(key);
+      if (dup) { duplicates.push({ row: v.row, ...dup }); continue; }
+      seen.set(key, { duplicate_of_row: v.row });
+      fresh.push(v);
+    }
+
+    if (q.data.dry_run === "1" || fresh.length === 0) return { created: [], pending: fresh.length, duplicates, eventHash: null };
+
+    const created = [];
+    for (const { data } of fresh) created.push(await insertArea(tx, data));
+
+    const { eventHash } = await appendLedgerEvent(tx, req.actor, "CMD_AREA_IMPORT", {
+      batch_id: crypto.randomUUID(),
+      features: rows.length,
+      areas: created,
+      skipped: { invalid: errors.length, duplicates: duplicates.length }
+    });
+    return { created, pending: 0, duplicates, eventHash };
+  });
+
+  if (result.created.length) await enqueueAreaRecompute(result.created.map(a => a.id), { type: "area_added" });
+
+  res.json({
+    ok: true,
+    dry_run: q.data.dry_run === "1",
+    features: rows.length,
+    valid: valid.length,
+    created: result.created.length,
+    would_create: result.pending,
+    areas: result.created.map(({ geometry, ...a }) => a),
+    duplicates: result.duplicates,
+    errors,
+    ledger_hash: result.eventHash
+  });
+}));
+
+app.patch("/api/cmd/areas/:id", asyncHandler(async (req, res) => {
+  const parsed = AreaUpdate.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const id = req.params.id;
+  const changes = parsed.data;
+
+  const result = await inLedgerTx(async (tx) => {
+    // ledger antes da linha da área: mesma ordem de locks do recálculo no worker
+    await ledger.lockLedger(tx);
+    const cur = await tx.query(`select ${AREA_COLUMNS} from areas where id=$1 and is_active=true for update`, [id]);
+    if (cur.rowCount === 0) return null;
+
+    // previous só com os campos alterados: a geometria anterior pode ser grande, mas é o que permite auditar a mudança
+    const previous = Object.fromEntries(Object.keys(changes).map(k => [k, cur.rows[0][k]]));
+    const next = { ...cur.rows[0], ...changes };
+    await tx.query(
+      "update areas set name=$2, kind=$3, geometry=$4, aggregation=$5 where id=$1",
+      [id, next.name, next.kind, JSON.stringify(next.geometry), JSON.stringify(next.aggregation)]
+    );
+    const { eventHash } = await appendLedgerEvent(tx, req.actor, "CMD_AREA_UPDATE", { areaId: id, changes, previous });
+    return { next, eventHash };
+  });
+  if (!result) return res.status(404).json({ ok: false, error: "area not found" });
+  const { next, eventHash } = result;
+
+  // membros (geometria) ou regra mudaram: a decisão agregada pode ser outra
+  const recompute = "geometry" in changes || "aggregation" in changes;
+  if (recompute) await enqueueAreaRecompute([id], { type: "area_updated" });
+
+  const { geometry, ...area } = next;
+  res.json({ ok: true, areaId: id, area, recomputing: recompute, ledger_hash: eventHash });
+}));
+
+app.post("/api/cmd/areas/:id/deactivate", asyncHandler(async (req, res) => {
+  const parsed = AreaDeactivate.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const id = req.params.id;
+  const { reason = null } = parsed.data;
+
+  const result = await inLedgerTx(async (tx) => {
+    await ledger.lockLedger(tx);
+    const q = await tx.query("update areas set is_active=false where id=$1 and is_active=true returning id", [id]);
+    if (q.rowCount === 0) return null;
+    return appendLedgerEvent(tx, req.actor, "CMD_AREA_DEACTIVATE", { areaId: id, reason });
+  });
+  if (!result) return res.status(404).json({ ok: false, error: "active area not found" });
+
+  res.json({ ok: true, areaId: id, is_active: false, ledger_hash: result.eventHash });
+}));
+
+// ---- Fila: jobs que esgotaram as tentativas (dead-letter) ----
+// Retry manual e descarte passam pelo ledger: quem reabriu ou abandonou uma avaliação fica registrado.
+function jobRef(job) {
+  return {
+    jobId: job.id,
+    name: job.name,
+    locationId: job.data?.locationId || null,
+    attempts_made: job.attemptsMade,
+    failed_reason: job.failedReason || null
+  };
+}
+
+async function failedJob(id) {
+  const job = await queue.getJob(id);
+  if (!job) return { error: [404, "job not found"] };
+  const state = await job.getState();
+  if (state !== "failed") return { error: [409, `job is ${state}, not failed`] };
+  return { job };
+}
+
+app.post("/api/cmd/jobs/:jobId/retry", asyncHandler(async (req, res) => {
+  const { job, error } = await failedJob(req.params.jobId);
+  if (error) return res.status(error[0]).json({ ok: false, error: error[1] });
+
+  // evento gravado antes de mexer na fila: a fila não participa da transação, e um job reaberto sem
+  // registro seria pior que um registro sem efeito. Recusa da fila (job mudou de estado no meio)
+  // é reportada com o ledger_hash do comando, que fica no ledger como tentativa.
+  const { eventHash } = await inLedgerTx((tx) => appendLedgerEvent(tx, req.actor, "CMD_JOB_RETRY", jobRef(job)));
+  try {
+    await job.retry("failed", { resetAttemptsMade: true });
+  } catch (e) {
+    return res.status(409).json({ ok: false, error: `retry refused: ${e.message}`, ledger_hash: eventHash });
+  }
+
+  live.jobQueued(job);
+  res.json({ ok: true, jobId: job.id, state: "waiting", ledger_hash: eventHash });
+}));
+
+app.post("/api/cmd/jobs/:jobId/discard", asyncHandler(async (req, res) => {
+  const { job, error } = await failedJob(req.params.jobId);
+  if (error) return res.status(error[0]).json({ ok: false, error: error[1] });
+
+  // mesma ordem do retry: ledger primeiro, fila depois
+  const { eventHash } = await inLedgerTx((tx) => appendLedgerEvent(tx, req.actor, "CMD_JOB_DISCARD", jobRef(job)));
+  try {
+    await job.remove();
+  } catch (e) {
+    return res.status(409).json({ ok: false, error: `discard refused: ${e.message}`, ledger_hash: eventHash });
+  }
+
+  res.json({ ok: true, jobId: job.id, discarded: true, ledger_hash: eventHash });
+}));
+
 // ---- Reads (projeções) ----
-app.get("/api/read/locations", async (_req, res) => {
+// SSE: status dos jobs (queued/running/completed/failed), decisões e appends do ledger, à medida que acontecem
+app.get("/api/read/stream", (req, res) => live.handler(req, res));
+
+const LocationsQuery = z.object({
+  include_inactive: z.enum(["0", "1"]).default("0")
+});
+
+app.get("/api/read/locations", asyncHandler(async (req, res) => {
+  const parsed = LocationsQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  // staleness: idade da última decisão contra o SLA da agenda (só faz sentido para ativos)
   const q = await pool.query(
-    `select l.id, l.name, l.lat, l.lon, l.is_active, l.created_at,
-            s.updated_at, s.decision, s.applied_rule, s.raw_weather, s.ledger_hash
+    `select l.id, l.name, l.lat, l.lon, l.is_active, l.risk_profile, l.rule_overrides, l.weather_provider, l.created_at,
+            coalesce(l.refresh_interval_sec, c.default_interval_sec) as refresh_interval_sec,
+            s.updated_at, s.decision, s.applied_rule, s.raw_weather, s.ledger_hash,
+            floor(extract(epoch from now() - s.updated_at))::int as age_sec,
+            c.sla_sec,
+            l.is_active and (s.updated_at is null or s.updated_at < now() - make_interval(secs => c.sla_sec)) as stale
        from locations l
+       cross join scheduler_settings c
        left join location_state s on s.location_id = l.id
-      where l.is_active=true
-      order by l.created_at asc`
+      where l.is_active=true or $1
+      order by l.created_at asc`,
+    [parsed.data.include_inactive === "1"]
   );
   res.json({ ok: true, locations: q.rows });
+}));
+
+// ---- Histórico (weather_snapshots) ----
+const HistoryQuery = z.object({
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional(),
+  decision: z.string().optional()
+    .transform(v => (v ? v.split(",").map(x => x.trim()).filter(Boolean) : undefined))
+    .pipe(z.array(Decision).optional()),
+  cursor: z.coerce.number().int().positive().optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(50),
+  raw: z.enum(["0", "1"]).optional()
+});
+
+async function locationExists(id) {
+  // inclui inativos: histórico continua legível depois da desativação
+  const q = await pool.query("select 1 from locations where id=$1", [id]);
+  return q.rowCount > 0;
+}
+
+// Paginação por cursor: id do último item devolvido; a página seguinte pega ids menores
+function page(rows, limit) {
+  const items = rows.slice(0, limit);
+  const next_cursor = rows.length > limit ? String(items[items.length - 1].id) : null;
+  return { items, next_cursor };
+}
+
+app.get("/api/read/locations/:id/history", asyncHandler(async (req, res) => {
+  const parsed = HistoryQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const id = req.params.id;
+  if (!(await locationExists(id))) return res.status(404).json({ ok: false, error: "location not found" });
+
+  const { from = null, to = null, decision = null, cursor = null, limit, raw } = parsed.data;
+
+  const q = await pool.query(
+    `select w.id, w.created_at, w.decision, w.applied_rule,
+            ${raw === "1" ? "w.raw_weather," : ""}
+            w.ledger_hash, e.id as ledger_event_id
+       from weather_snapshots w
+       left join ledger_events e on e.event_hash = w.ledger_hash
+      where w.location_id=$1
+        and ($2::timestamptz is null or w.created_at >= $2)
+        and ($3::timestamptz is null or w.created_at < $3)
+        and ($4::text[] is null or w.decision = any($4))
+        and ($5::bigint is null or w.id < $5)
+      order by w.id desc
+      limit $6`,
+    [id, from, to, decision, cursor, limit + 1]
+  );
+
+  res.json({ ok: true, ...page(q.rows, limit) });
+}));
+
+// Só os pontos em que a decisão mudou (ex.: NORMAL→ALERT)
+app.get("/api/read/locations/:id/transitions", asyncHandler(async (req, res) => {
+  const parsed = HistoryQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const id = req.params.id;
+  if (!(await locationExists(id))) return res.status(404).json({ ok: false, error: "location not found" });
+
+  const { from = null, to = null, decision = null, cursor = null, limit } = parsed.data;
+
+  const q = await pool.query(
+    `select t.id, t.created_at, t.previous as "from", t.decision as "to", t.ledger_hash, e.id as ledger_event_id
+       from (
+         select w.id, w.created_at, w.decision, w.ledger_hash,
+                lag(w.decision) over (order by w.id) as previous
+           from weather_snapshots w
+          where w.location_id=$1
+       ) t
+       left join ledger_events e on e.event_hash = t.ledger_hash
+      where t.previous is distinct from t.decision
+        and ($2::timestamptz is null or t.created_at >= $2)
+        and ($3::timestamptz is null or t.created_at < $3)
+        and ($4::text[] is null or t.decision = any($4))
+        and ($5::bigint is null or t.id < $5)
+      order by t.id desc
+      limit $6`,
+    [id, from, to, decision, cursor, limit + 1]
+  );
+
+  res.json({ ok: true, ...page(q.rows, limit) });
+}));
+
+app.get("/api/read/locations/:id/forecast", asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const q = await pool.query(
+    `select f.location_id, f.updated_at, f.horizon_hours, f.decision, f.earliest, f.windows, f.applied_rule, f.ledger_hash
+       from location_forecast f
+       join locations l on l.id = f.location_id
+      where f.location_id=$1 and l.is_active=true`,
+    [id]
+  );
+  if (q.rowCount === 0) return res.status(404).json({ ok: false, error: "forecast not found" });
+  res.json({ ok: true, forecast: q.rows[0] });
+}));
+
+// ---- Áreas ----
+// members = composição atual (locations ativos dentro da geometria); basis = contagem usada na
+// última AREA_DECISION, que só é gravada quando a decisão agregada muda
+const AreasQuery = z.object({
+  geometry: z.enum(["0", "1"]).default("0"),
+  include_inactive: z.enum(["0", "1"]).default("0")
+});
+
+const AREA_READ = `
+  select a.id, a.name, a.kind, a.aggregation, a.is_active, a.created_at,
+         s.decision, s.updated_at, s.members as basis, s.ledger_hash,
+         jsonb_build_object(
+           'total', m.total, 'pending', m.total - m.decided,
+           'NORMAL', m.normal, 'ALERT', m.alert, 'CRITICAL', m.critical
+         ) as members`;
+
+const AREA_MEMBERS = `
+  left join area_state s on s.area_id = a.id
+  cross join lateral (
+    select count(*)::int as total,
+           count(ls.decision)::int as decided,
+           count(*) filter (where ls.decision = 'NORMAL')::int as normal,
+           count(*) filter (where ls.decision = 'ALERT')::int as alert,
+           count(*) filter (where ls.decision = 'CRITICAL')::int as critical
+      from locations l
+      left join location_state ls on ls.location_id = l.id
+     where l.is_active = true and geojson_contains(a.geometry, l.lon, l.lat)
+  ) m`;
+
+app.get("/api/read/areas", asyncHandler(async (req, res) => {
+  const parsed = AreasQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const q = await pool.query(
+    `${AREA_READ}${parsed.data.geometry === "1" ? ", a.geometry" : ""}
+       from areas a
+       ${AREA_MEMBERS}
+      where a.is_active=true or $1
+      order by a.name asc, a.created_at asc`,
+    [parsed.data.include_inactive === "1"]
+  );
+  res.json({ ok: true, areas: q.rows });
+}));
+
+app.get("/api/read/areas/:id", asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const q = await pool.query(`${AREA_READ}, a.geometry from areas a ${AREA_MEMBERS} where a.id=$1`, [id]);
+  if (q.rowCount === 0) return res.status(404).json({ ok: false, error: "area not found" });
+
+  const locations = await pool.query(
+    `select l.id, l.name, l.lat, l.lon, s.decision, s.updated_at, s.ledger_hash
+       from locations l
+       left join location_state s on s.location_id = l.id
+      where l.is_active = true and geojson_contains($1, l.lon, l.lat)
+      order by l.name asc`,
+    [q.rows[0].geometry]
+  );
+  res.json({ ok: true, area: q.rows[0], locations: locations.rows });
+}));
+
+app.get("/api/read/schedule", asyncHandler(async (_req, res) => {
+  const q = await pool.query("select enabled, default_interval_sec, sla_sec, updated_at from scheduler_settings");
+  res.json({ ok: true, settings: q.rows[0] });
+}));
+
+app.get("/api/read/rulesets", asyncHandler(async (_req, res) => {
+  const q = await pool.query(
+    `select id, name, version, status, rules, content_hash, created_at, activated_at, retired_at
+       from rulesets
+      order by version desc`
+  );
+  res.json({ ok: true, rulesets: q.rows });
+}));
+
+app.get("/api/read/subscriptions", asyncHandler(async (_req, res) => {
+  const q = await pool.query(
+    `select id, url, location_id, severities, is_active, created_at
+       from subscriptions
+      order by created_at asc`
+  );
+  res.json({ ok: true, subscriptions: q.rows });
+}));
+
+const DeliveryQuery = z.object({
+  subscription_id: z.string().uuid().optional(),
+  status: z.enum(["PENDING", "DELIVERED", "FAILED"]).optional(),
+  cursor: z.coerce.number().int().positive().optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(50)
 });
 
+app.get("/api/read/deliveries", asyncHandler(async (req, res) => {
+  const parsed = DeliveryQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const { subscription_id = null, status = null, cursor = null, limit } = parsed.data;
+
+  const q = await pool.query(
+    `select id, subscription_id, location_id, ledger_hash, from_decision, to_decision, status,
+            attempts, last_status_code, last_error, created_at, delivered_at
+       from webhook_deliveries
+      where ($1::uuid is null or subscription_id = $1)
+        and ($2::text is null or status = $2)
+        and ($3::bigint is null or id < $3)
+      order by id desc
+      limit $4`,
+    [subscription_id, status, cursor, limit + 1]
+  );
+
+  res.json({ ok: true, ...page(q.rows, limit) });
+}));
+
+// Estado da fila (lido do Redis, não do ledger)
+const JOB_STATES = ["waiting", "active", "delayed", "prioritized", "paused", "failed", "completed"];
+
+const JobsQuery = z.object({
+  state: z.enum(JOB_STATES).default("failed"),
+  location_id: z.string().uuid().optional(),
+  offset: z.coerce.number().int().min(0).default(0),
+  limit: z.coerce.number().int().min(1).max(200).default(50)
+});
+
+function msToIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+// stacktrace (caminhos e detalhes internos do worker) e dados completos só para quem opera a fila;
+// os demais papéis veem a que location/área o job se refere e o que o disparou
+const JOB_DETAIL_ROLES = ["operator", "admin"];
+const JOB_SUMMARY_FIELDS = ["locationId", "areaId", "trigger"];
+
+function jobView(job, state, actor) {
+  const detail = JOB_DETAIL_ROLES.includes(actor.role);
+  const data = job.data || {};
+  return {
+    id: job.id,
+    name: job.name,
+    state,
+    data: detail ? data : Object.fromEntries(JOB_SUMMARY_FIELDS.filter(k => k in data).map(k => [k, data[k]])),
+    attempts_made: job.attemptsMade,
+    attempts: job.opts?.attempts || 1,
+    failed_reason: job.failedReason || null,
+    stacktrace: detail ? job.stacktrace || [] : null,
+    return_value: job.returnvalue ?? null,
+    created_at: msToIso(job.timestamp),
+    processed_at: msToIso(job.processedOn),
+    finished_at: msToIso(job.finishedOn),
+    delay_ms: job.delay || 0
+  };
+}
+
+app.get("/api/read/jobs/:jobId", asyncHandler(async (req, res) => {
+  const job = await queue.getJob(req.params.jobId);
+  if (!job) return res.status(404).json({ ok: false, error: "job not found" });
+  res.json({ ok: true, job: jobView(job, await job.getState(), req.actor) });
+}));
+
+app.get("/api/read/jobs", asyncHandler(async (req, res) => {
+  const parsed = JobsQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const { state, location_id = null, offset, limit } = parsed.data;
+  let jobs;
+  if (location_id) {
+    // filtro por location é feito aqui: a fila não indexa por dados do job
+    const all = await queue.getJobs([state]);
+    jobs = all.filter(j => j?.data?.locationId === location_id).slice(offset, offset + limit);
+  } else {
+    jobs = await queue.getJobs([state], offset, offset + limit - 1);
+  }
+
+  const counts = await queue.getJobCounts(...JOB_STATES);
+  res.json({ ok: true, state, counts, jobs: jobs.filter(Boolean).map(j => jobView(j, state, req.actor)) });
+}));
+
 // ---- Audit: verifica integridade do hash-chain ----
-app.get("/api/read/audit/verify", async (_req, res) => {
-  const q = await pool.query("select id, event_type, payload, prev_hash, event_hash from ledger_events order by id asc");
-  const rows = q.rows;
+// Verificação incremental: parte do último checkpoint assinado e só recalcula eventos novos.
+// mode=full percorre a cadeia inteira desde o gênesis, em lotes por id (cursor), sem carregar tudo em memória.
+const AUDIT_BATCH_SIZE = 1000;
+const AUDIT_MAX_ERRORS = 100;
 
-  let ok = true;
-  const errors = [];
+function checkpointSignatureOk(c) {
+  const publicKey = keyring.publicKeyFor(c.key_id);
+  return !!publicKey && ledger.verifyCheckpointSignature(publicKey, c);
+}
+
+// Âncoras: recalcula a raiz de Merkle a partir dos event_hash do banco, confere a assinatura
+// e compara com a cópia no destino externo. Incremental = só âncoras além do checkpoint.
+async function verifyAnchors(afterId, fail) {
+  const q = await pool.query(
+    `select id, from_id, to_id, leaf_count, merkle_root, key_id, signature, target, created_at
+       from ledger_anchors
+      where to_id > $1
+      order by to_id asc`,
+    [afterId]
+  );
+
+  let lastOk = null;
+  for (const a of q.rows) {
+    const anchorId = String(a.id);
+    let anchorOk = true;
+    const err = (e) => { anchorOk = false; fail({ anchor: anchorId, ...e }); };
 
-  for (let i = 0; i < rows.length; i++) {
-    const e = rows[i];
+    const publicKey = keyring.publicKeyFor(a.key_id);
+    if (!publicKey) err({ error: "anchor_key_unknown" });
+    else if (!ledger.verifyAnchorSignature(publicKey, a)) err({ error: "anchor_signature_invalid" });
 
-    const canonical = e.prev_hash + "\n" + stableStringify({ event_type: e.event_type, payload: e.payload });
-    const computed = sha256Hex(canonical);
+    const h = await pool.query(
+      "select event_hash from ledger_events where id between $1 and $2 order by id asc",
+      [a.from_id, a.to_id]
+    );
+    if (h.rowCount !== a.leaf_count) {
+      err({ error: "anchor_leaf_count_mismatch", expected: a.leaf_count, got: h.rowCount });
+    } else if (ledger.merkleRoot(h.rows.map(r => r.event_hash)) !== a.merkle_root) {
+      err({ error: "anchor_root_mismatch" });
+    }
 
-    if (computed !== e.event_hash) {
-      ok = false;
-      errors.push({ id: String(e.id), error: "hash_mismatch", expected: e.event_hash, got: computed });
+    if (anchorTarget) {
+      try {
+        const external = await anchorTarget.get(a);
+        if (!external) err({ error: "anchor_external_missing" });
+        else if (external.merkle_root !== a.merkle_root || external.signature !== a.signature) err({ error: "anchor_external_mismatch" });
+      } catch (e) {
+        err({ error: "anchor_external_unreachable", detail: String(e.message || e) });
+      }
     }
 
-    if (i === 0) {
-      if (e.prev_hash !== "0") {
-        ok = false;
-        errors.push({ id: String(e.id), error: "genesis_prev_hash_not_zero", prev_hash: e.prev_hash });
+    if (anchorOk) lastOk = a;
+  }
+
+  return {
+    checked: q.rowCount,
+    external: anchorTarget ? anchorTarget.describe() : null,
+    last: lastOk ? { id: String(lastOk.id), to_id: String(lastOk.to_id), merkle_root: lastOk.merkle_root, created_at: lastOk.created_at } : null
+  };
+}
+
+async function verifyLedger({ full }) {
+  const started = process.hrtime.bigint();
+  const errors = [];
+  // além do teto só conta: errors_truncated diz se algum erro ficou de fora da lista
+  let dropped = 0;
+  const fail = (e) => {
+    if (errors.length < AUDIT_MAX_ERRORS) errors.push(e);
+    else dropped++;
+  };
+
+  let checkpoint = null;
+  let afterId = "0";
+  let prevHash = null;
+  let eventsBefore = 0n;
+
+  if (!full) {
+    const c = await pool.query(
+      "select id, last_event_id, last_event_hash, events_verified, key_id, signature, created_at from audit_checkpoints order by id desc limit 1"
+    );
+    if (c.rowCount) {
+      checkpoint = c.rows[0];
+      if (!checkpointSignatureOk(checkpoint)) {
+        fail({ checkpoint: String(checkpoint.id), error: "checkpoint_signature_invalid" });
       }
-    } else {
-      const prev = rows[i - 1];
-      if (e.prev_hash !== prev.event_hash) {
-        ok = false;
-        errors.push({ id: String(e.id), error: "prev_hash_link_broken", prev_hash: e.prev_hash, should_be: prev.event_hash });
+      const anchor = await pool.query("select event_hash from ledger_events where id=$1", [checkpoint.last_event_id]);
+      if (anchor.rowCount === 0 || anchor.rows[0].event_hash !== checkpoint.last_event_hash) {
+        fail({ checkpoint: String(checkpoint.id), error: "checkpoint_anchor_mismatch", id: String(checkpoint.last_event_id) });
       }
+      afterId = String(checkpoint.last_event_id);
+      prevHash = checkpoint.last_event_hash;
+      eventsBefore = BigInt(checkpoint.events_verified);
+    }
+  }
+
+  let count = 0;
+  let firstId = null;
+  let lastId = checkpoint ? afterId : null;
+  const chain = ledger.createChainVerifier({ keyring, prevHash });
+
+  // checkpoint inválido: nada depois dele é confiável; exige mode=full
+  const checkpointBroken = errors.length > 0;
+
+  if (!checkpointBroken) {
+    for await (const e of ledger.readEvents(pool, { afterId, batchSize: AUDIT_BATCH_SIZE })) {
+      for (const err of chain.check(e)) fail(err);
+      if (firstId === null) firstId = String(e.id);
+      lastId = String(e.id);
+      count++;
     }
   }
 
-  res.json({ ok, count: rows.length, errors });
+  const anchors = checkpointBroken ? null : await verifyAnchors(checkpoint ? String(checkpoint.last_event_id) : "0", fail);
+
+  const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+  const mode = checkpoint ? "incremental" : "full";
+  auditLastOk.set({ mode }, errors.length === 0 ? 1 : 0);
+  auditLastErrors.set({ mode }, errors.length);
+  auditLastEvents.set({ mode }, count);
+  auditLastRun.set({ mode }, Date.now() / 1000);
+
+  return {
+    ok: errors.length === 0,
+    mode,
+    count,
+    total_verified: String(eventsBefore + BigInt(count)),
+    range: { from_id: firstId, to_id: lastId },
+    duration_ms: Math.round(durationMs * 1000) / 1000,
+    checkpoint: checkpoint ? { id: String(checkpoint.id), last_event_id: String(checkpoint.last_event_id), created_at: checkpoint.created_at } : null,
+    errors,
+    anchors,
+    errors_truncated: dropped > 0,
+    head: { id: lastId, hash: chain.head }
+  };
+}
+
+// Auditoria periódica: sem ela os gauges só existiriam depois de alguém chamar o endpoint.
+// Uma por vez; a primeira logo após o start.
+function scheduleAudit() {
+  if (!(AUDIT_INTERVAL_SEC > 0)) return;
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await verifyLedger({ full: false });
+      if (!r.ok) console.error(`[api] periodic audit found ${r.errors.length} error(s), first:`, JSON.stringify(r.errors[0]));
+    } catch (e) {
+      console.error("[api] periodic audit failed:", e.message);
+    } finally {
+      running = false;
+    }
+  };
+  setTimeout(run, 5000);
+  setInterval(run, AUDIT_INTERVAL_SEC * 1000);
+}
+
+const AuditVerifyQuery = z.object({
+  mode: z.enum(["incremental", "full"]).default("incremental")
 });
 
+app.get("/api/read/audit/verify", asyncHandler(async (req, res) => {
+  const parsed = AuditVerifyQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  const result = await verifyLedger({ full: parsed.data.mode === "full" });
+  res.json(result);
+}));
+
+app.get("/api/read/audit/checkpoints", asyncHandler(async (_req, res) => {
+  const q = await pool.query(
+    `select id, last_event_id, last_event_hash, events_verified, key_id, signature, ledger_hash, created_at
+       from audit_checkpoints
+      order by id desc
+      limit 50`
+  );
+  res.json({ ok: true, key_id: signingKey.keyId, checkpoints: q.rows });
+}));
+
+// Exportação NDJSON do ledger em forma canônica (uma linha por evento, ordem de id), em streaming;
+// o mesmo formato é lido por `verify`/`import` do CLI (services/ledger/scripts/ledger.js)
+const AuditExportQuery = z.object({
+  after_id: z.string().regex(/^\d+$/).default("0")
+});
+
+app.get("/api/read/audit/export", asyncHandler(async (req, res) => {
+  const parsed = AuditExportQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: parsed.error.flatten() });
+
+  let closed = false;
+  req.on("close", () => { closed = true; });
+
+  res.setHeader("content-type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("content-disposition", `attachment; filename="climarisk-ledger-${new Date().toISOString().slice(0, 10)}.ndjson"`);
+
+  for await (const e of ledger.readEvents(pool, { afterId: parsed.data.after_id, batchSize: AUDIT_BATCH_SIZE })) {
+    if (closed) break;
+    if (!res.write(ledger.canonicalEvent(e) + "\n")) {
+      await new Promise((resolve) => { res.once("drain", resolve); req.once("close", resolve); });
+    }
+  }
+  res.end();
+}));
+
+// Prova de um evento isolado, verificável offline (services/ledger/scripts/verify-proof.js):
+// - merkle: caminho da folha até a raiz de uma âncora assinada (já publicada externamente)
+// - chain: segmento da cadeia do evento até um checkpoint assinado, com os corpos para recalcular os hashes
+// Sem âncora nem checkpoint cobrindo o evento, só a assinatura do próprio evento é prova.
+const PROOF_MAX_CHAIN_SEGMENT = 500;
+const EventHashParam = z.string().regex(/^[0-9a-f]{64}$/);
+
+function neighbourOf(row) {
+  return row ? { id: row.id, event_type: row.event_type, event_hash: row.event_hash, created_at: row.created_at } : null;
+}
+
+async function merkleProofFor(event) {
+  const a = await pool.query(
+    `select id, from_id, to_id, leaf_count, merkle_root, key_id, signature, target, created_at
+       from ledger_anchors
+      where from_id <= $1 and to_id >= $1
+      limit 1`,
+    [event.id]
+  );
+  if (a.rowCount === 0) return null;
+
+  const anchor = a.rows[0];
+  const h = await pool.query(
+    "select id, event_hash from ledger_events where id between $1 and $2 order by id asc",
+    [anchor.from_id, anchor.to_id]
+  );
+  const hashes = h.rows.map(r => r.event_hash);
+  const leafIndex = h.rows.findIndex(r => r.id === event.id);
+
+  return {
+    type: "merkle",
+    anchor: {
+      id: anchor.id,
+      from_id: anchor.from_id,
+      to_id: anchor.to_id,
+      leaf_count: anchor.leaf_count,
+      merkle_root: anchor.merkle_root,
+      key_id: anchor.key_id,
+      signature: anchor.signature,
+      target: anchor.target,
+      created_at: anchor.created_at
+    },
+    leaf_index: leafIndex,
+    path: ledger.merkleProof(hashes, leafIndex)
+  };
+}
+
+async function chainProofFor(event) {
+  const c = await pool.query(
+    `select id, last_event_id, last_event_hash, events_verified, key_id, signature, created_at
+       from audit_checkpoints
+      where last_event_id >= $1
+      order by last_event_id asc
+      limit 1`,
+    [event.id]
+  );
+  if (c.rowCount === 0) return null;
+
+  const checkpoint = c.rows[0];
+  if (BigInt(checkpoint.last_event_id) - BigInt(event.id) > PROOF_MAX_CHAIN_SEGMENT) return null;
+
+  const seg = await pool.query(
+    "select id, event_type, payload, prev_hash, event_hash from ledger_events where id > $1 and id <= $2 order by id asc",
+    [event.id, checkpoint.last_event_id]
+  );
+
+  return {
+    type: "chain",
+    checkpoint: {
+      id: checkpoint.id,
+      last_event_id: checkpoint.last_event_id,
+      last_event_hash: checkpoint.last_event_hash,
+      events_verified: checkpoint.events_verified,
+      key_id: checkpoint.key_id,
+      signature: checkpoint.signature,
+      created_at: checkpoint.created_at
+    },
+    segment: seg.rows
+  };
+}
+
+function publicKeyView(keyId) {
+  return { key_id: keyId, public_key_pem: keyring.publicKeyFor(keyId).export({ type: "spki", format: "pem" }) };
+}
+
+app.get("/api/read/audit/events/:hash", asyncHandler(async (req, res) => {
+  const parsed = EventHashParam.safeParse(req.params.hash);
+  if (!parsed.success) return res.status(400).json({ ok: false, error: "invalid event hash" });
+
+  const q = await pool.query(`select ${ledger.EVENT_COLUMNS} from ledger_events where event_hash=$1`, [parsed.data]);
+  if (q.rowCount === 0) return res.status(404).json({ ok: false, error: "event not found" });
+  const event = q.rows[0];
+
+  const [prev, next] = await Promise.all([
+    pool.query("select id, event_type, event_hash, created_at from ledger_events where event_hash=$1", [event.prev_hash]),
+    pool.query("select id, event_type, event_hash, created_at from ledger_events where prev_hash=$1", [event.event_hash])
+  ]);
+
+  const proof = (await merkleProofFor(event)) || (await chainProofFor(event)) || { type: "signature" };
+
+  res.json({
+    ok: true,
+    event,
+    neighbours: { prev: neighbourOf(prev.rows[0]), next: neighbourOf(next.rows[0]) },
+    proof,
+    key: publicKeyView(signingKey.keyId),
+    // evento, âncora e checkpoint podem ter sido assinados por chaves diferentes (rotação)
+    keys: keyring.keyIds.map(publicKeyView),
+    signed_from_id: keyring.signedFromId
+  });
+}));
+
+// Cria checkpoint assinado após verificação bem-sucedida; o próprio checkpoint vira evento do ledger
+app.post("/api/cmd/audit/checkpoints", asyncHandler(async (req, res) => {
+  const result = await verifyLedger({ full: false });
+  if (!result.ok) return res.status(409).json({ ok: false, error: "ledger verification failed", verification: result });
+  if (result.count === 0) return res.json({ ok: true, created: false, verification: result });
+
+  const checkpoint = {
+    last_event_id: result.head.id,
+    last_event_hash: result.head.hash,
+    events_verified: result.total_verified,
+    key_id: signingKey.keyId
+  };
+  checkpoint.signature = ledger.signCheckpoint(signingKey, checkpoint);
+
+  const { checkpointId, eventHash } = await inLedgerTx(async (tx) => {
+    const { eventHash } = await appendLedgerEvent(tx, req.actor, "AUDIT_CHECKPOINT", {
+      checkpoint,
+      verification: { range: result.range, count: result.count, duration_ms: result.duration_ms }
+    });
+    const q = await tx.query(
+      `insert into audit_checkpoints(last_event_id, last_event_hash, events_verified, key_id, signature, ledger_hash)
+       values($1,$2,$3,$4,$5,$6) returning id`,
+      [checkpoint.last_event_id, checkpoint.last_event_hash, checkpoint.events_verified, checkpoint.key_id, checkpoint.signature, eventHash]
+    );
+    return { checkpointId: q.rows[0].id, eventHash };
+  });
+
+  res.json({ ok: true, created: true, checkpoint: { id: checkpointId, ...checkpoint }, ledger_hash: eventHash, verification: result });
+}));
+
+// Erros que escaparam dos handlers. Corpo inválido (express.json) mantém o status do parser;
+// texto inválido para o tipo da coluna e violação de unicidade do pg viram 400/409; o resto, 500 sem detalhes.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.status >= 400 && err.status < 500) return res.status(err.status).json({ ok: false, error: err.expose ? err.message : "bad request" });
+  if (err.code === "22P02") return res.status(400).json({ ok: false, error: "invalid input" });
+  if (err.code === "23505") return res.status(409).json({ ok: false, error: "conflict", constraint: err.constraint });
+  console.error(`[api] ${req.method} ${req.originalUrl} failed:`, err);
+  res.status(500).json({ ok: false, error: "internal error" });
+});
+
+// rede de segurança para promessas fora das rotas (timers, filas): registra em vez de derrubar o processo
+process.on("unhandledRejection", (e) => console.error("[api] unhandled rejection:", e));
+
 app.listen(PORT, () => {
   try { readKeyFromFile(OWM_API_KEY_FILE); } catch (e) { console.error("[api] owm key read failed:", e.message); }
   console.log(`[api] listening on :${PORT}`);
+  scheduleAudit();
 });
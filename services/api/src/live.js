@@ -0,0 +1,47 @@
+// Stream ao vivo para a UI: consome o stream BullMQ `${QUEUE_NAME}-live` (worker e API publicam nele)
+// e repassa cada evento por SSE a todos os clientes conectados em /api/read/stream.
+// A publicação é a mesma do worker (createLivePublisher do pacote do ledger).
+const { QueueEvents, QueueEventsProducer } = require("bullmq");
+const { LIVE_EVENT, createLivePublisher } = require("n29-climarisk-ledger");
+
+function createLiveStream({ queueName, connection, heartbeatSec }) {
+  const publisher = createLivePublisher({
+    producer: new QueueEventsProducer(queueName, { connection }),
+    log: (...args) => console.error("[api]", ...args)
+  });
+  const events = new QueueEvents(queueName, { connection });
+  const clients = new Set();
+
+  events.on(LIVE_EVENT, ({ type, data }, id) => {
+    const msg = `id: ${id}\nevent: ${type}\ndata: ${data}\n\n`;
+    for (const res of clients) res.write(msg);
+  });
+  events.on("error", (e) => console.error("[api] live stream error:", e.message));
+
+  function jobQueued(job) {
+    return publisher.job(job, "queued");
+  }
+
+  // Sem replay: o cliente lê o estado atual pelas rotas de leitura e acompanha daqui em diante
+  function handler(req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+    clients.add(res);
+
+    const ping = setInterval(() => res.write(": ping\n\n"), heartbeatSec * 1000);
+    req.on("close", () => {
+      clearInterval(ping);
+      clients.delete(res);
+    });
+  }
+
+  return { publish: publisher.publish, jobQueued, ledgerAppended: publisher.ledgerAppended, handler, clientCount: () => clients.size };
+}
+
+module.exports = { createLiveStream };
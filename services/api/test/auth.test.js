@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { signJwt, verifyJwt } = require("../src/auth");
+
+const SECRET = "test-secret";
+const now = () => Math.floor(Date.now() / 1000);
+const b64 = (o) => Buffer.from(JSON.stringify(o)).toString("base64url");
+
+test("token válido devolve as claims", () => {
+  const claims = { sub: "ana", role: "operator", exp: now() + 60 };
+  assert.deepEqual(verifyJwt(SECRET, signJwt(SECRET, claims)), claims);
+});
+
+test("segredo errado, assinatura alterada ou corpo trocado: null", () => {
+  const token = signJwt(SECRET, { sub: "ana", role: "operator", exp: now() + 60 });
+  assert.equal(verifyJwt("other", token), null);
+
+  const [head, body, sig] = token.split(".");
+  const badSig = (sig[0] === "A" ? "B" : "A") + sig.slice(1);
+  assert.equal(verifyJwt(SECRET, `${head}.${body}.${badSig}`), null);
+  assert.equal(verifyJwt(SECRET, `${head}.${b64({ sub: "ana", role: "admin", exp: now() + 60 })}.${sig}`), null);
+});
+
+test("exp ausente ou vencido e nbf no futuro: null", () => {
+  assert.equal(verifyJwt(SECRET, signJwt(SECRET, { sub: "ana", role: "viewer" })), null);
+  assert.equal(verifyJwt(SECRET, signJwt(SECRET, { sub: "ana", role: "viewer", exp: now() - 1 })), null);
+  assert.equal(verifyJwt(SECRET, signJwt(SECRET, { sub: "ana", role: "viewer", exp: now() + 60, nbf: now() + 30 })), null);
+});
+
+test("alg diferente de HS256 é recusado mesmo com HMAC correto", () => {
+  for (const alg of ["none", "HS512"]) {
+    const head = b64({ alg, typ: "JWT" });
+    const body = b64({ sub: "ana", role: "admin", exp: now() + 60 });
+    const sig = crypto.createHmac("sha256", SECRET).update(`${head}.${body}`).digest("base64url");
+    assert.equal(verifyJwt(SECRET, `${head}.${body}.${sig}`), null);
+  }
+});
+
+test("token malformado: null", () => {
+  for (const t of ["", "a.b", "a.b.c.d", "x.y.z", undefined]) assert.equal(verifyJwt(SECRET, t), null);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv, rowsFromCsv } = require("../src/bulkImport");
+
+test("parseCsv: aspas, vírgula e quebra de linha dentro do campo, \"\" como escape", () => {
+  const text = 'name,lat\r\n"Rua A, 10",1\n"diz ""oi""",2\n"linha\num",3\n';
+  assert.deepEqual(parseCsv(text), [
+    ["name", "lat"],
+    ["Rua A, 10", "1"],
+    ['diz "oi"', "2"],
+    ["linha\num", "3"]
+  ]);
+});
+
+test("parseCsv: última linha sem quebra e campos vazios", () => {
+  assert.deepEqual(parseCsv("a,,c\n,,"), [["a", "", "c"], ["", "", ""]]);
+});
+
+test("parseCsv: aspas sem fechamento é erro", () => {
+  assert.throws(() => parseCsv('name\n"aberto'), /unterminated/);
+});
+
+test("rowsFromCsv: cabeçalho sem diferenciar caixa, BOM, números, JSON e linhas em branco", () => {
+  const text = "\uFEFF" + 'Name,LAT,lon,rule_overrides\nCentro,-23.5,-46.6,"{""TEMP_33C"":35}"\n\n,,,\nPorto,x,-43,\n';
+  assert.deepEqual(rowsFromCsv(text), [
+    { row: 2, data: { name: "Centro", lat: -23.5, lon: -46.6, rule_overrides: { TEMP_33C: 35 } } },
+    { row: 5, data: { name: "Porto", lat: "x", lon: -43 } }
+  ]);
+});
+
+test("rowsFromCsv: coluna obrigatória ausente ou CSV vazio", () => {
+  assert.throws(() => rowsFromCsv("name,lat\nA,1\n"), /missing column lon/);
+  assert.throws(() => rowsFromCsv(""), /empty csv/);
+});
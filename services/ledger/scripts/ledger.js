@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+// CLI do ledger para auditoria externa:
+//   DATABASE_URL=... node scripts/ledger.js export [--out ledger.ndjson] [--after-id N]
+//   node scripts/ledger.js verify ledger.ndjson --public-key ledger_public.pem [--keyring keyring.json]
+//   DATABASE_URL=... node scripts/ledger.js import ledger.ndjson --public-key ledger_public.pem [--keyring keyring.json]
+// O formato é o mesmo de GET /api/read/audit/export: NDJSON, um evento canônico por linha, em ordem de id.
+// verify recalcula a cadeia fora do sistema com as mesmas regras do endpoint de auditoria e confere
+// as âncoras (LEDGER_ANCHOR) e checkpoints (AUDIT_CHECKPOINT) gravados no próprio ledger.
+// import só carrega num banco vazio (apenas o gênesis do init.sql), verificando cada evento na mesma leitura
+// em que o carrega: o primeiro erro desfaz tudo.
+// --keyring é o mesmo arquivo de LEDGER_KEYRING_FILE (chaves aposentadas e signed_from_id); com ele,
+// --public-key é opcional.
+const fs = require("fs");
+const crypto = require("crypto");
+const readline = require("readline");
+const ledger = require("../src");
+
+const MAX_ERRORS = 100;
+const IMPORT_BATCH_SIZE = 500;
+// hashes recentes guardados para conferir checkpoints (o checkpoint aponta para o head da época)
+const RECENT_HASHES = 100000;
+
+function parseArgs(argv) {
+  const args = { command: argv[0], file: null, out: null, afterId: "0", publicKey: null, keyring: null };
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === "--out") args.out = argv[++i];
+    else if (argv[i] === "--after-id") args.afterId = argv[++i];
+    else if (argv[i] === "--public-key") args.publicKey = argv[++i];
+    else if (argv[i] === "--keyring") args.keyring = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+function loadKeyring(args) {
+  if (!args.publicKey && !args.keyring) throw new Error("--public-key or --keyring is required");
+  // aceita a chave pública ou a própria chave privada (PEM)
+  const trusted = args.publicKey ? [crypto.createPublicKey(fs.readFileSync(args.publicKey, "utf8"))] : [];
+  return ledger.loadKeyring(args.keyring, trusted);
+}
+
+function openPool() {
+  const { Pool } = require("pg");
+  if (!process.env.DATABASE_URL) throw new Error("DATABASE_URL missing");
+  return new Pool({ connectionString: process.env.DATABASE_URL });
+}
+
+async function* readLines(file) {
+  const input = !file || file === "-" ? process.stdin : fs.createReadStream(file, { encoding: "utf8" });
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  let n = 0;
+  for await (const line of rl) {
+    n++;
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {
+      throw new Error(`line ${n}: invalid JSON`);
+    }
+  }
+}
+
+async function exportLedger(args) {
+  const pool = openPool();
+  const out = args.out ? fs.createWriteStream(args.out) : process.stdout;
+  let count = 0;
+  try {
+    for await (const e of ledger.readEvents(pool, { afterId: args.afterId })) {
+      if (!out.write(ledger.canonicalEvent(e) + "\n")) await new Promise((resolve) => out.once("drain", resolve));
+      count++;
+    }
+  } finally {
+    await pool.end();
+  }
+  if (args.out) await new Promise((resolve) => out.end(resolve));
+  console.error(JSON.stringify({ ok: true, exported: count, out: args.out || "stdout" }));
+}
+
+// Regras da verificação offline de uma exportação completa (desde o gênesis), evento a evento:
+// check(e) devolve os erros deste evento; verify e import usam o mesmo verificador numa única leitura.
+function createExportVerifier(keyring) {
+  const chain = ledger.createChainVerifier({ keyring });
+  const recent = new Map();   // id -> { hash, position }
+  let pending = [];           // eventos ainda não cobertos por âncora: { id, hash }
+  let lastId = null;
+  let count = 0;
+  let anchors = 0;
+  let checkpoints = 0;
+
+  function check(e) {
+    const errors = [];
+    const fail = (err) => errors.push(err);
+    const id = String(e.id);
+    if (lastId !== null && BigInt(id) <= BigInt(lastId)) fail({ id, error: "id_out_of_order", after: lastId });
+
+    for (const err of chain.check(e)) fail(err);
+
+    if (e.event_type === "LEDGER_ANCHOR") {
+      const a = e.payload.anchor;
+      anchors++;
+      const anchorKey = keyring.publicKeyFor(a.key_id);
+      if (!anchorKey) fail({ id, error: "anchor_key_unknown" });
+      else if (!ledger.verifyAnchorSignature(anchorKey, a)) fail({ id, error: "anchor_signature_invalid" });
+
+      const leaves = pending.filter(p => BigInt(p.id) >= BigInt(a.from_id) && BigInt(p.id) <= BigInt(a.to_id));
+      if (leaves.length !== a.leaf_count) {
+        fail({ id, error: "anchor_leaf_count_mismatch", expected: a.leaf_count, got: leaves.length });
+      } else if (ledger.merkleRoot(leaves.map(p => p.hash)) !== a.merkle_root) {
+        fail({ id, error: "anchor_root_mismatch" });
+      }
+      pending = pending.filter(p => BigInt(p.id) > BigInt(a.to_id));
+    }
+
+    if (e.event_type === "AUDIT_CHECKPOINT") {
+      const c = e.payload.checkpoint;
+      checkpoints++;
+      const checkpointKey = keyring.publicKeyFor(c.key_id);
+      if (!checkpointKey) fail({ id, error: "checkpoint_key_unknown" });
+      else if (!ledger.verifyCheckpointSignature(checkpointKey, c)) fail({ id, error: "checkpoint_signature_invalid" });
+
+      const target = recent.get(String(c.last_event_id));
+      if (!target) fail({ id, error: "checkpoint_event_unavailable", last_event_id: String(c.last_event_id) });
+      else if (target.hash !== c.last_event_hash) fail({ id, error: "checkpoint_anchor_mismatch", last_event_id: String(c.last_event_id) });
+      else if (String(target.position) !== String(c.events_verified)) {
+        fail({ id, error: "checkpoint_count_mismatch", expected: String(c.events_verified), got: String(target.position) });
+      }
+    }
+
+    count++;
+    pending.push({ id, hash: e.event_hash });
+    recent.set(id, { hash: e.event_hash, position: count });
+    if (recent.size > RECENT_HASHES) recent.delete(recent.keys().next().value);
+    lastId = id;
+    return errors;
+  }
+
+  function summary() {
+    return {
+      count,
+      head: { id: lastId, hash: chain.head },
+      anchors_checked: anchors,
+      checkpoints_checked: checkpoints,
+      unanchored: pending.length
+    };
+  }
+
+  return { check, summary };
+}
+
+async function verifyExport(file, keyring) {
+  const started = Date.now();
+  const errors = [];
+  // além do teto só conta: errors_truncated diz se algum erro ficou de fora da lista
+  let dropped = 0;
+  const fail = (e) => {
+    if (errors.length < MAX_ERRORS) errors.push(e);
+    else dropped++;
+  };
+
+  const verifier = createExportVerifier(keyring);
+  for await (const e of readLines(file)) {
+    for (const err of verifier.check(e)) fail(err);
+  }
+
+  const summary = verifier.summary();
+  if (summary.count === 0) fail({ error: "export_empty" });
+
+  return {
+    ok: errors.length === 0,
+    ...summary,
+    duration_ms: Date.now() - started,
+    errors,
+    errors_truncated: dropped > 0
+  };
+}
+
+async function insertBatch(tx, rows) {
+  if (!rows.length) return;
+  const values = [];
+  const params = [];
+  rows.forEach((e, i) => {
+    const b = i * 8;
+    values.push(`($${b + 1},$${b + 2},$${b + 3},$${b + 4},$${b + 5},$${b + 6},$${b + 7},$${b + 8})`);
+    params.push(e.id, e.created_at, e.event_type, e.payload, e.prev_hash, e.event_hash, e.signature, e.key_id);
+  });
+  await tx.query(
+    `insert into ledger_events(id, created_at, event_type, payload, prev_hash, event_hash, signature, key_id) values ${values.join(",")}`,
+    params
+  );
+}
+
+// Tabelas de auditoria derivadas do ledger: checkpoints e âncoras são reconstruídos dos próprios eventos
+async function rebuildAuditRow(tx, e) {
+  if (e.event_type === "AUDIT_CHECKPOINT") {
+    const c = e.payload.checkpoint;
+    await tx.query(
+      `insert into audit_checkpoints(created_at, last_event_id, last_event_hash, events_verified, key_id, signature, ledger_hash)
+       values($1,$2,$3,$4,$5,$6,$7)`,
+      [e.created_at, c.last_event_id, c.last_event_hash, c.events_verified, c.key_id, c.signature, e.event_hash]
+    );
+  }
+  if (e.event_type === "LEDGER_ANCHOR") {
+    const a = e.payload.anchor;
+    await tx.query(
+      `insert into ledger_anchors(created_at, from_id, to_id, leaf_count, merkle_root, key_id, signature, target, ledger_hash)
+       values($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+      [e.created_at, a.from_id, a.to_id, a.leaf_count, a.merkle_root, a.key_id, a.signature, e.payload.target, e.event_hash]
+    );
+  }
+}
+
+// Uma leitura só: cada evento é verificado antes de entrar no lote; o primeiro erro desfaz a transação inteira
+async function importLedger(args, keyring) {
+  const started = Date.now();
+  const pool = openPool();
+  try {
+    const verification = await ledger.withTransaction(pool, async (tx) => {
+      await ledger.lockLedger(tx);
+
+      const existing = await tx.query("select id, event_hash from ledger_events order by id asc limit 2");
+      const locations = await tx.query("select 1 from locations limit 1");
+      const onlyGenesis = existing.rowCount === 1;
+      if (existing.rowCount > 1 || locations.rowCount > 0) throw new Error("target database is not empty");
+
+      const verifier = createExportVerifier(keyring);
+      let count = 0;
+      let batch = [];
+      for await (const e of readLines(args.file)) {
+        const errors = verifier.check(e);
+        if (errors.length) throw Object.assign(new Error("verification failed, refusing to import"), { errors });
+
+        if (count === 0 && onlyGenesis) {
+          // o gênesis do init.sql é determinístico: tem que ser o mesmo da exportação
+          if (String(existing.rows[0].id) !== String(e.id) || existing.rows[0].event_hash !== e.event_hash) {
+            throw new Error("target genesis differs from exported genesis");
+          }
+        } else {
+          batch.push(e);
+          await rebuildAuditRow(tx, e);
+        }
+        if (batch.length >= IMPORT_BATCH_SIZE) {
+          await insertBatch(tx, batch);
+          batch = [];
+        }
+        count++;
+      }
+      await insertBatch(tx, batch);
+      if (count === 0) throw Object.assign(new Error("verification failed, refusing to import"), { errors: [{ error: "export_empty" }] });
+
+      await tx.query("select setval(pg_get_serial_sequence('ledger_events','id'), (select max(id) from ledger_events))");
+      return verifier.summary();
+    });
+
+    console.log(JSON.stringify({ ok: true, imported: verification.count, head: verification.head, verification: { ...verification, duration_ms: Date.now() - started } }, null, 2));
+  } catch (e) {
+    if (!e.errors) throw e;
+    console.log(JSON.stringify({ ok: false, error: e.message, errors: e.errors }, null, 2));
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.command === "export") return exportLedger(args);
+
+  if (args.command === "verify") {
+    const result = await verifyExport(args.file, loadKeyring(args));
+    console.log(JSON.stringify(result, null, 2));
+    process.exitCode = result.ok ? 0 : 1;
+    return;
+  }
+
+  if (args.command === "import") return importLedger(args, loadKeyring(args));
+
+  throw new Error("usage: ledger.js export|verify|import [file] [--public-key pem] [--keyring json] [--out file] [--after-id N]");
+}
+
+main().catch((e) => {
+  console.error("[ledger] failed:", e.message);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+// Verificador offline da prova de um evento (GET /api/read/audit/events/:hash).
+// Não fala com banco nem com a API: recalcula o hash do evento com o mesmo stableStringify do ledger,
+// confere a assinatura Ed25519 e a prova (caminho de Merkle até a âncora, ou segmento até o checkpoint).
+//   node scripts/verify-proof.js prova.json --public-key ledger_public.pem [--keyring keyring.json]
+// --public-key pode se repetir (chaves de antes de uma rotação); --keyring é o arquivo de LEDGER_KEYRING_FILE.
+// Sem nenhum dos dois usa as chaves embutidas na resposta (só confirma consistência interna, não autoria).
+const fs = require("fs");
+const crypto = require("crypto");
+const {
+  computeEventHash,
+  createKeyring,
+  loadKeyring,
+  eventSignatureError,
+  merkleRootFromProof,
+  verifyAnchorSignature,
+  verifyCheckpointSignature
+} = require("../src");
+
+function parseArgs(argv) {
+  const args = { file: null, publicKeys: [], keyring: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--public-key") args.publicKeys.push(argv[++i]);
+    else if (argv[i] === "--keyring") args.keyring = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+function verifyProof(doc, keyring) {
+  const checks = [];
+  const check = (name, ok, detail) => checks.push(detail === undefined ? { name, ok } : { name, ok, detail });
+  const known = (name, keyId) => {
+    const ok = !!keyring.publicKeyFor(keyId);
+    check(name, ok, { trusted: keyring.keyIds, got: keyId });
+    return ok;
+  };
+
+  const e = doc.event;
+
+  check("event_hash", computeEventHash(e.prev_hash, e.event_type, e.payload) === e.event_hash);
+
+  if (e.prev_hash === "0") {
+    check("event_signature", true, "genesis is unsigned");
+  } else {
+    const error = eventSignatureError(e, keyring);
+    check("event_signature", !error, error || (e.signature ? undefined : `recorded before signing started (signed_from_id ${keyring.signedFromId})`));
+  }
+
+  const p = doc.proof;
+  if (p.type === "merkle") {
+    if (known("anchor_key_id", p.anchor.key_id)) check("anchor_signature", verifyAnchorSignature(keyring.publicKeyFor(p.anchor.key_id), p.anchor));
+    check("merkle_path", merkleRootFromProof(e.event_hash, p.path) === p.anchor.merkle_root);
+  } else if (p.type === "chain") {
+    let prev = e.event_hash;
+    let linked = true;
+    for (const s of p.segment) {
+      if (s.prev_hash !== prev || computeEventHash(s.prev_hash, s.event_type, s.payload) !== s.event_hash) {
+        linked = false;
+        break;
+      }
+      prev = s.event_hash;
+    }
+    check("chain_segment", linked && prev === p.checkpoint.last_event_hash, { events: p.segment.length });
+    if (known("checkpoint_key_id", p.checkpoint.key_id)) {
+      check("checkpoint_signature", verifyCheckpointSignature(keyring.publicKeyFor(p.checkpoint.key_id), p.checkpoint));
+    }
+  } else {
+    check("proof", true, "no anchor or checkpoint covers this event yet; only the event signature is proven");
+  }
+
+  return { ok: checks.every(c => c.ok), event_hash: e.event_hash, proof: p.type, key_id: e.key_id, checks };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const doc = JSON.parse(fs.readFileSync(args.file || 0, "utf8"));
+
+  const pinned = args.publicKeys.length > 0 || !!args.keyring;
+  const keyring = pinned
+    ? loadKeyring(args.keyring, args.publicKeys.map(p => crypto.createPublicKey(fs.readFileSync(p, "utf8"))))
+    : createKeyring((doc.keys || [doc.key]).map(k => crypto.createPublicKey(k.public_key_pem)), { signedFromId: doc.signed_from_id ?? "0" });
+
+  const result = verifyProof(doc, keyring);
+  if (!pinned) result.warning = "public keys taken from the proof itself; pass --public-key or --keyring to pin the trusted keys";
+
+  console.log(JSON.stringify(result, null, 2));
+  process.exitCode = result.ok ? 0 : 1;
+}
+
+try {
+  main();
+} catch (e) {
+  console.error("[verify-proof] failed:", e.message);
+  process.exit(1);
+}
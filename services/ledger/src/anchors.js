@@ -0,0 +1,140 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { stableStringify } = require("./canonical");
+const { signText, verifyText } = require("./signing");
+
+// Âncoras: raiz de Merkle de uma faixa de eventos, assinada e exportada para um destino
+// externo append-only. Destinos suportados (ANCHOR_TARGET):
+//   file:///caminho/anchors.ndjson   -> uma linha JSON por âncora, arquivo aberto só em modo append
+//   s3://bucket/prefixo              -> um objeto por âncora, PUT condicional (If-None-Match: *) nunca sobrescreve
+
+function anchorSignedContent(a) {
+  return stableStringify({
+    from_id: String(a.from_id),
+    to_id: String(a.to_id),
+    leaf_count: a.leaf_count,
+    merkle_root: a.merkle_root,
+    key_id: a.key_id
+  });
+}
+
+function signAnchor(signingKey, a) {
+  return signText(signingKey, anchorSignedContent(a));
+}
+
+function verifyAnchorSignature(publicKey, a) {
+  return verifyText(publicKey, anchorSignedContent(a), a.signature);
+}
+
+// Mesma âncora (a assinatura Ed25519 é determinística): uma nova tentativa do job depois de uma
+// exportação cujo registro no banco falhou encontra a cópia já publicada e segue adiante.
+function sameAnchor(a, b) {
+  return !!a && !!b && stableStringify(a) === stableStringify(b);
+}
+
+function anchorObjectName(a) {
+  return `anchor-${String(a.to_id).padStart(12, "0")}.json`;
+}
+
+function createFileTarget(path) {
+  return {
+    describe: () => `file://${path}`,
+
+    async put(anchor) {
+      const existing = await this.get(anchor);
+      if (existing) {
+        if (sameAnchor(existing, anchor)) return;
+        throw new Error(`anchor file already has a different anchor for to_id ${anchor.to_id}`);
+      }
+      await fs.promises.appendFile(path, JSON.stringify(anchor) + "\n", { flag: "a" });
+    },
+
+    async get(anchor) {
+      let text;
+      try { text = await fs.promises.readFile(path, "utf8"); } catch { return null; }
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        const a = JSON.parse(line);
+        if (String(a.to_id) === String(anchor.to_id)) return a;
+      }
+      return null;
+    }
+  };
+}
+
+// ---- S3 compatível (AWS SigV4 mínimo, path-style) ----
+function hmac(key, s) {
+  return crypto.createHmac("sha256", key).update(s, "utf8").digest();
+}
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(s, "utf8").digest("hex");
+}
+
+function signedS3Request({ endpoint, region, accessKeyId, secretAccessKey }, method, key, body = "", extraHeaders = {}) {
+  const url = new URL(endpoint.replace(/\/$/, "") + "/" + key.split("/").map(encodeURIComponent).join("/"));
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const headers = { host: url.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate, ...extraHeaders };
+  const names = Object.keys(headers).map(k => k.toLowerCase()).sort();
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    "",
+    names.map(n => `${n}:${lower[n]}`).join("\n") + "\n",
+    names.join(";"),
+    payloadHash
+  ].join("\n");
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+  const signingKey = hmac(hmac(hmac(hmac("AWS4" + secretAccessKey, date), region), "s3"), "aws4_request");
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign, "utf8").digest("hex");
+
+  delete headers.host;
+  headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`;
+  return fetch(url, { method, headers, body: method === "GET" ? undefined : body });
+}
+
+function createS3Target(bucket, prefix, cfg) {
+  const objectKey = (a) => [bucket, prefix, anchorObjectName(a)].filter(Boolean).join("/");
+
+  return {
+    describe: () => `s3://${bucket}/${prefix}`,
+
+    async put(anchor) {
+      const r = await signedS3Request(cfg, "PUT", objectKey(anchor), JSON.stringify(anchor), {
+        "content-type": "application/json",
+        "if-none-match": "*"
+      });
+      // 412 = objeto já existe (If-None-Match): sucesso se for esta mesma âncora
+      if (r.status === 412 && sameAnchor(await this.get(anchor), anchor)) return;
+      if (!r.ok) throw new Error(`anchor s3 put failed: http_${r.status}`);
+    },
+
+    async get(anchor) {
+      const r = await signedS3Request(cfg, "GET", objectKey(anchor));
+      if (r.status === 404) return null;
+      if (!r.ok) throw new Error(`anchor s3 get failed: http_${r.status}`);
+      return r.json();
+    }
+  };
+}
+
+// target vazio = âncoras desativadas
+function createAnchorTarget(target, s3 = {}) {
+  if (!target) return null;
+  if (target.startsWith("file://")) return createFileTarget(target.slice("file://".length));
+  if (target.startsWith("s3://")) {
+    const [bucket, ...rest] = target.slice("s3://".length).split("/");
+    if (!s3.endpoint || !s3.accessKeyId || !s3.secretAccessKey) throw new Error("s3 anchor target needs endpoint and credentials");
+    return createS3Target(bucket, rest.join("/").replace(/\/$/, ""), { region: "us-east-1", ...s3 });
+  }
+  throw new Error(`unsupported ANCHOR_TARGET ${target}`);
+}
+
+module.exports = { signAnchor, verifyAnchorSignature, createAnchorTarget };
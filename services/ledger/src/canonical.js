@@ -0,0 +1,28 @@
+const crypto = require("crypto");
+
+// Forma canônica compartilhada pelo hash da cadeia, assinaturas e âncoras.
+
+function sha256Hex(s) {
+  return crypto.createHash("sha256").update(s, "utf8").digest("hex");
+}
+
+// Serialização estável (determinística) + suporte a Date/toJSON
+function stableStringify(v) {
+  if (v === null || v === undefined) return "null";
+  if (typeof v === "number") return Number.isFinite(v) ? String(v) : "null";
+  if (typeof v === "boolean") return v ? "true" : "false";
+  if (typeof v === "string") return JSON.stringify(v);
+  if (Array.isArray(v)) return "[" + v.map(stableStringify).join(",") + "]";
+  if (typeof v === "object") {
+    if (typeof v.toJSON === "function") return stableStringify(v.toJSON());
+    const keys = Object.keys(v).sort();
+    return "{" + keys.map(k => JSON.stringify(k) + ":" + stableStringify(v[k])).join(",") + "}";
+  }
+  return "null";
+}
+
+function computeEventHash(prevHash, eventType, payload) {
+  return sha256Hex(prevHash + "\n" + stableStringify({ event_type: eventType, payload }));
+}
+
+module.exports = { sha256Hex, stableStringify, computeEventHash };
@@ -0,0 +1,24 @@
+const { stableStringify } = require("./canonical");
+const { signText, verifyText } = require("./signing");
+
+// Checkpoint de auditoria: assinatura cobre último evento verificado, hash e contagem.
+// Ids/contagens viram string porque chegam do pg como bigint (string).
+
+function checkpointSignedContent(c) {
+  return stableStringify({
+    last_event_id: String(c.last_event_id),
+    last_event_hash: c.last_event_hash,
+    events_verified: String(c.events_verified),
+    key_id: c.key_id
+  });
+}
+
+function signCheckpoint(signingKey, c) {
+  return signText(signingKey, checkpointSignedContent(c));
+}
+
+function verifyCheckpointSignature(publicKey, c) {
+  return verifyText(publicKey, checkpointSignedContent(c), c.signature);
+}
+
+module.exports = { signCheckpoint, verifyCheckpointSignature };
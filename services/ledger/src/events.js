@@ -0,0 +1,33 @@
+const { stableStringify } = require("./canonical");
+
+const EVENT_COLUMNS = "id, created_at, event_type, payload, prev_hash, event_hash, signature, key_id";
+
+// Lê ledger_events em ordem de id, em lotes (keyset), sem carregar a cadeia em memória
+async function* readEvents(db, { afterId = "0", batchSize = 1000 } = {}) {
+  let cursor = String(afterId);
+  for (;;) {
+    const q = await db.query(
+      `select ${EVENT_COLUMNS} from ledger_events where id > $1 order by id asc limit $2`,
+      [cursor, batchSize]
+    );
+    if (q.rowCount === 0) return;
+    for (const row of q.rows) yield row;
+    cursor = String(q.rows[q.rowCount - 1].id);
+  }
+}
+
+// Forma canônica de exportação (uma linha NDJSON): chaves ordenadas, id como string, created_at em ISO
+function canonicalEvent(row) {
+  return stableStringify({
+    id: String(row.id),
+    created_at: new Date(row.created_at).toISOString(),
+    event_type: row.event_type,
+    payload: row.payload,
+    prev_hash: row.prev_hash,
+    event_hash: row.event_hash,
+    signature: row.signature ?? null,
+    key_id: row.key_id ?? null
+  });
+}
+
+module.exports = { EVENT_COLUMNS, readEvents, canonicalEvent };
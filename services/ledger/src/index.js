@@ -0,0 +1,96 @@
+const { sha256Hex, stableStringify, computeEventHash } = require("./canonical");
+const { loadSigningKey, keyIdOf, createKeyring, loadKeyring, signText, verifyText } = require("./signing");
+const { merkleLeaf, merkleNode, merkleRoot, merkleProof, merkleRootFromProof } = require("./merkle");
+const { signCheckpoint, verifyCheckpointSignature } = require("./checkpoints");
+const { signAnchor, verifyAnchorSignature, createAnchorTarget } = require("./anchors");
+const { eventSignatureError, createChainVerifier } = require("./verify");
+const { EVENT_COLUMNS, readEvents, canonicalEvent } = require("./events");
+const { LIVE_EVENT, createLivePublisher } = require("./live");
+const { isPublicAddress, parseAllowedHosts, outboundUrlError } = require("./outbound");
+const { RISK_PROFILES, createRulesetSchemas } = require("./rules");
+
+// Ledger imutável (hash-chain) compartilhado por API e worker.
+// Todo append acontece dentro de uma transação que segura um advisory lock global:
+// leitura do último hash + insert ficam serializados, então a cadeia nunca bifurca.
+
+// chave fixa do pg_advisory_xact_lock do ledger
+const LEDGER_LOCK_KEY = 2900129001;
+
+// Executa fn(client) em uma transação; commit no sucesso, rollback em qualquer erro
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    const result = await fn(client);
+    await client.query("commit");
+    return result;
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Lock do ledger até o fim da transação (reentrante). Transações que travam linhas de projeção
+// que outra transação trava depois de um append (ex.: areas) pegam este lock antes, na mesma ordem.
+async function lockLedger(client) {
+  await client.query("select pg_advisory_xact_lock($1)", [LEDGER_LOCK_KEY]);
+}
+
+// Precisa ser chamado com um client dentro de transação (withTransaction);
+// o lock é liberado no commit/rollback. Com signingKey o event_hash é assinado (Ed25519).
+async function appendLedgerEvent(client, eventType, payloadObj, { signingKey } = {}) {
+  await lockLedger(client);
+
+  const last = await client.query("select event_hash from ledger_events order by id desc limit 1");
+  const prevHash = last.rows[0].event_hash;
+  const eventHash = computeEventHash(prevHash, eventType, payloadObj);
+  const signature = signingKey ? signText(signingKey, eventHash) : null;
+  const keyId = signingKey ? signingKey.keyId : null;
+
+  const q = await client.query(
+    "insert into ledger_events(event_type, payload, prev_hash, event_hash, signature, key_id) values($1,$2,$3,$4,$5,$6) returning id",
+    [eventType, payloadObj, prevHash, eventHash, signature, keyId]
+  );
+
+  return { id: q.rows[0].id, prevHash, eventHash, signature, keyId };
+}
+
+module.exports = {
+  LEDGER_LOCK_KEY,
+  sha256Hex,
+  stableStringify,
+  computeEventHash,
+  withTransaction,
+  lockLedger,
+  appendLedgerEvent,
+  loadSigningKey,
+  keyIdOf,
+  createKeyring,
+  loadKeyring,
+  signText,
+  verifyText,
+  merkleLeaf,
+  merkleNode,
+  merkleRoot,
+  merkleProof,
+  merkleRootFromProof,
+  signCheckpoint,
+  verifyCheckpointSignature,
+  signAnchor,
+  verifyAnchorSignature,
+  createAnchorTarget,
+  eventSignatureError,
+  createChainVerifier,
+  EVENT_COLUMNS,
+  readEvents,
+  canonicalEvent,
+  LIVE_EVENT,
+  createLivePublisher,
+  isPublicAddress,
+  parseAllowedHosts,
+  outboundUrlError,
+  RISK_PROFILES,
+  createRulesetSchemas
+};
@@ -0,0 +1,34 @@
+// Eventos ao vivo (status de job, decisões, appends do ledger) que API e worker publicam num stream
+// BullMQ próprio (`${QUEUE_NAME}-live`); a API os consome com QueueEvents e repassa por SSE.
+// O producer (QueueEventsProducer do bullmq) vem de quem chama: este pacote não depende do bullmq.
+
+// nome do evento no stream, lido pela API (services/api/src/live.js)
+const LIVE_EVENT = "live";
+const LIVE_MAX_EVENTS = 10000;
+
+// location do evento do ledger, quando houver (comandos usam locationId, decisões location.id)
+function ledgerLocationId(payload) {
+  return payload?.locationId || payload?.location?.id || null;
+}
+
+// { producer: QueueEventsProducer, log(...args) }
+function createLivePublisher({ producer, log }) {
+  // best effort: perder um evento ao vivo não afeta ledger nem projeções
+  function publish(type, data) {
+    return producer
+      .publishEvent({ eventName: LIVE_EVENT, type, data: JSON.stringify({ ...data, at: new Date().toISOString() }) }, LIVE_MAX_EVENTS)
+      .catch((e) => log("live publish failed:", e.message));
+  }
+
+  function job(j, status, extra) {
+    return publish("job", { job_id: j.id, name: j.name, location_id: j.data?.locationId || null, status, ...extra });
+  }
+
+  function ledgerAppended(eventType, payload, ev) {
+    return publish("ledger", { id: String(ev.id), event_type: eventType, event_hash: ev.eventHash, location_id: ledgerLocationId(payload) });
+  }
+
+  return { publish, job, ledgerAppended, close: () => producer.close() };
+}
+
+module.exports = { LIVE_EVENT, createLivePublisher };
@@ -0,0 +1,62 @@
+const crypto = require("crypto");
+
+// Árvore de Merkle sobre event_hash (hex). Folha e nó interno usam prefixos distintos
+// (0x00 / 0x01) para impedir que um nó interno seja apresentado como folha.
+// Nível com quantidade ímpar: o último nó sobe sem par.
+
+function h(prefix, ...parts) {
+  const c = crypto.createHash("sha256").update(Buffer.from([prefix]));
+  for (const p of parts) c.update(Buffer.from(p, "hex"));
+  return c.digest("hex");
+}
+
+function merkleLeaf(eventHash) {
+  return h(0x00, eventHash);
+}
+
+function merkleNode(left, right) {
+  return h(0x01, left, right);
+}
+
+function merkleRoot(eventHashes) {
+  if (!eventHashes.length) throw new Error("merkle tree needs at least one leaf");
+  let level = eventHashes.map(merkleLeaf);
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? merkleNode(level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+// Caminho de prova da folha `index` até a raiz: irmãos de baixo para cima, com o lado do irmão.
+// Nós promovidos sem par não geram passo.
+function merkleProof(eventHashes, index) {
+  if (index < 0 || index >= eventHashes.length) throw new Error("merkle leaf index out of range");
+  const path = [];
+  let level = eventHashes.map(merkleLeaf);
+  let i = index;
+  while (level.length > 1) {
+    const sibling = i % 2 === 0 ? i + 1 : i - 1;
+    if (sibling < level.length) path.push({ side: sibling < i ? "L" : "R", hash: level[sibling] });
+    const next = [];
+    for (let k = 0; k < level.length; k += 2) {
+      next.push(k + 1 < level.length ? merkleNode(level[k], level[k + 1]) : level[k]);
+    }
+    level = next;
+    i = Math.floor(i / 2);
+  }
+  return path;
+}
+
+function merkleRootFromProof(eventHash, path) {
+  let node = merkleLeaf(eventHash);
+  for (const step of path) {
+    node = step.side === "L" ? merkleNode(step.hash, node) : merkleNode(node, step.hash);
+  }
+  return node;
+}
+
+module.exports = { merkleLeaf, merkleNode, merkleRoot, merkleProof, merkleRootFromProof };
@@ -0,0 +1,52 @@
+const dns = require("dns");
+const net = require("net");
+
+// Destinos de chamadas de saída configuradas por usuários (webhooks): só endereços públicos.
+// Sem isso, quem tem escopo cmd faria o worker bater em serviços da rede interna (Postgres, Redis,
+// metadados da nuvem). Hosts em allowedHosts (WEBHOOK_ALLOWED_HOSTS) passam sem a checagem,
+// para receptores internos cadastrados de propósito.
+const NON_PUBLIC = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) NON_PUBLIC.addSubnet(prefix, bits, "ipv4");
+for (const [prefix, bits] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) NON_PUBLIC.addSubnet(prefix, bits, "ipv6");
+
+function isPublicAddress(address) {
+  // IPv4 mapeado em IPv6 (::ffff:a.b.c.d) vale como o IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+  return !NON_PUBLIC.check(address, family);
+}
+
+// "a.example, b.example" -> Set em minúsculas
+function parseAllowedHosts(list) {
+  return new Set(String(list || "").split(",").map(h => h.trim().toLowerCase()).filter(Boolean));
+}
+
+// null = destino aceito; senão o motivo. Resolve o nome e recusa se qualquer endereço não for público.
+async function outboundUrlError(url, { allowedHosts = new Set(), lookup = dns.promises.lookup } = {}) {
+  let u;
+  try { u = new URL(url); } catch { return "invalid url"; }
+  if (u.protocol !== "http:" && u.protocol !== "https:") return "url must be http(s)";
+
+  const host = u.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (allowedHosts.has(host)) return null;
+
+  let addresses;
+  if (net.isIP(host)) addresses = [host];
+  else {
+    try {
+      addresses = (await lookup(host, { all: true, verbatim: true })).map(a => a.address);
+    } catch {
+      return `url host ${host} does not resolve`;
+    }
+  }
+  const blocked = addresses.find(a => !isPublicAddress(a));
+  return blocked ? `url host ${host} resolves to non-public address ${blocked}` : null;
+}
+
+module.exports = { isPublicAddress, parseAllowedHosts, outboundUrlError };
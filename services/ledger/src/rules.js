@@ -0,0 +1,35 @@
+// Perfis de risco: ajustam limiares (por id de regra) do ruleset base para o clima típico do local.
+// Fonte única: o worker aplica os limiares e a API aceita como risk_profile exatamente estas chaves.
+const RISK_PROFILES = {
+  "tropical-urban": { TEMP_33C: 36, TEMP_38C: 40, RAIN_8MM_1H: 15, RAIN_20MM_1H: 30 },
+  "coastal": { WIND_12MS: 15, WIND_20MS: 24 },
+  "agricultural": { TEMP_2C: 4, "TEMP_-3C": 0 }
+};
+
+// Formato de regra de risco compartilhado: a API valida POST /api/cmd/rulesets e o worker valida
+// o candidato do what-if (--ruleset-file) com o mesmo schema. O zod vem de quem chama: este pacote
+// não tem dependências de runtime.
+function createRulesetSchemas(z) {
+  const RuleDef = z.object({
+    id: z.string().regex(/^[A-Z0-9_\-]{1,40}$/),
+    input: z.enum(["tempC", "windMs", "rain1hMm"]),
+    op: z.enum([">=", "<="]),
+    value: z.number().finite(),
+    severity: z.enum(["ALERT", "CRITICAL"]),
+    // regras de janela: "sum" acumula por hora, "sustained" exige o limiar em todas as horas
+    agg: z.enum(["sum", "sustained"]).optional(),
+    window_hours: z.number().int().min(1).max(168).optional()
+  }).refine(r => (r.agg === undefined) === (r.window_hours === undefined), { message: "agg and window_hours go together" });
+
+  const RuleList = z.array(RuleDef).min(1).max(100)
+    .refine(rules => new Set(rules.map(r => r.id)).size === rules.length, { message: "duplicate rule id" });
+
+  const RulesetCreate = z.object({
+    name: z.string().min(1).max(80),
+    rules: RuleList
+  });
+
+  return { RuleDef, RuleList, RulesetCreate };
+}
+
+module.exports = { RISK_PROFILES, createRulesetSchemas };
@@ -0,0 +1,55 @@
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Chave Ed25519 (PEM/PKCS#8) lida de arquivo de segredo, como a chave da OWM.
+// key_id = primeiros 16 hex do sha256 da chave pública (SPKI/DER).
+function loadSigningKey(path) {
+  const pem = fs.readFileSync(path, "utf8").trim();
+  if (!pem) throw new Error("ledger signing key file empty");
+
+  const privateKey = crypto.createPrivateKey(pem);
+  if (privateKey.asymmetricKeyType !== "ed25519") throw new Error("ledger signing key must be ed25519");
+  const publicKey = crypto.createPublicKey(privateKey);
+  return { privateKey, publicKey, keyId: keyIdOf(publicKey) };
+}
+
+function keyIdOf(publicKey) {
+  const der = publicKey.export({ type: "spki", format: "der" });
+  return crypto.createHash("sha256").update(der).digest("hex").slice(0, 16);
+}
+
+// Chaves públicas aceitas na verificação, por key_id: a atual e as aposentadas numa rotação.
+// signedFromId = id do primeiro evento assinado; eventos anteriores (gravados antes de existir
+// assinatura) passam sem ela. Assinatura presente é sempre conferida, antes ou depois do corte.
+function createKeyring(publicKeys, { signedFromId = "0" } = {}) {
+  if (!/^\d+$/.test(String(signedFromId))) throw new Error("keyring signed_from_id must be an event id");
+  const keys = new Map();
+  for (const k of publicKeys) {
+    if (k.asymmetricKeyType !== "ed25519") throw new Error("keyring keys must be ed25519");
+    keys.set(keyIdOf(k), k);
+  }
+  return {
+    signedFromId: String(signedFromId),
+    keyIds: [...keys.keys()],
+    publicKeyFor: (keyId) => keys.get(keyId) || null
+  };
+}
+
+// Arquivo JSON { "signed_from_id": "1042", "public_keys": ["-----BEGIN PUBLIC KEY-----..."] }.
+// trustedKeys (ex.: a pública da chave de assinatura em uso) entram sempre; sem arquivo, só elas e sem corte.
+function loadKeyring(path, trustedKeys = []) {
+  const doc = path ? JSON.parse(fs.readFileSync(path, "utf8")) : {};
+  const fromFile = (doc.public_keys || []).map(pem => crypto.createPublicKey(pem));
+  return createKeyring([...trustedKeys, ...fromFile], { signedFromId: doc.signed_from_id ?? "0" });
+}
+
+function signText(signingKey, text) {
+  return crypto.sign(null, Buffer.from(text, "utf8"), signingKey.privateKey).toString("base64");
+}
+
+function verifyText(publicKey, text, signature) {
+  if (!signature) return false;
+  return crypto.verify(null, Buffer.from(text, "utf8"), publicKey, Buffer.from(signature, "base64"));
+}
+
+module.exports = { loadSigningKey, keyIdOf, createKeyring, loadKeyring, signText, verifyText };
@@ -0,0 +1,49 @@
+const { computeEventHash } = require("./canonical");
+const { verifyText } = require("./signing");
+
+// Regras de verificação de cada evento, compartilhadas pelo endpoint de auditoria e pelo CLI offline.
+// Eventos chegam em ordem de id; o verificador guarda só o último hash.
+
+// GENESIS (prev_hash "0") é criado pelo init.sql e fica sem assinatura; eventos anteriores ao
+// keyring.signedFromId também (ledger de antes da assinatura). keyring: createKeyring/loadKeyring.
+function eventSignatureError(e, keyring) {
+  if (e.prev_hash === "0") return null;
+  if (!e.signature) return BigInt(e.id) < BigInt(keyring.signedFromId) ? null : "signature_missing";
+  const publicKey = keyring.publicKeyFor(e.key_id);
+  if (!publicKey) return "signature_key_unknown";
+  if (!verifyText(publicKey, e.event_hash, e.signature)) return "signature_invalid";
+  return null;
+}
+
+// prevHash = hash já confiável antes do primeiro evento (checkpoint); null = começa no gênesis
+function createChainVerifier({ keyring, prevHash = null }) {
+  let lastHash = prevHash;
+
+  return {
+    check(e) {
+      const id = String(e.id);
+      const errors = [];
+
+      const computed = computeEventHash(e.prev_hash, e.event_type, e.payload);
+      if (computed !== e.event_hash) errors.push({ id, error: "hash_mismatch", expected: e.event_hash, got: computed });
+
+      if (lastHash === null) {
+        if (e.prev_hash !== "0") errors.push({ id, error: "genesis_prev_hash_not_zero", prev_hash: e.prev_hash });
+      } else if (e.prev_hash !== lastHash) {
+        errors.push({ id, error: "prev_hash_link_broken", prev_hash: e.prev_hash, should_be: lastHash });
+      }
+
+      const signatureError = eventSignatureError(e, keyring);
+      if (signatureError) errors.push({ id, error: signatureError, key_id: e.key_id });
+
+      lastHash = e.event_hash;
+      return errors;
+    },
+
+    get head() {
+      return lastHash;
+    }
+  };
+}
+
+module.exports = { eventSignatureError, createChainVerifier };
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sha256Hex, merkleLeaf, merkleNode, merkleRoot, merkleProof, merkleRootFromProof } = require("../src");
+
+const hashes = (n) => Array.from({ length: n }, (_, i) => sha256Hex(`event-${i}`));
+
+test("prova de cada folha reconstrói a raiz (quantidades pares e ímpares)", () => {
+  for (const n of [1, 2, 3, 5, 8, 13]) {
+    const leaves = hashes(n);
+    const root = merkleRoot(leaves);
+    leaves.forEach((h, i) => assert.equal(merkleRootFromProof(h, merkleProof(leaves, i)), root, `n=${n} i=${i}`));
+  }
+});
+
+test("folha única: raiz é a própria folha e a prova é vazia", () => {
+  const [h] = hashes(1);
+  assert.deepEqual(merkleProof([h], 0), []);
+  assert.equal(merkleRootFromProof(h, []), merkleRoot([h]));
+});
+
+test("prova não serve para outro evento nem com lado trocado", () => {
+  const leaves = hashes(6);
+  const root = merkleRoot(leaves);
+  const proof = merkleProof(leaves, 2);
+  assert.notEqual(merkleRootFromProof(leaves[3], proof), root);
+  const flipped = proof.map(s => ({ ...s, side: s.side === "L" ? "R" : "L" }));
+  assert.notEqual(merkleRootFromProof(leaves[2], flipped), root);
+});
+
+test("nó interno não passa por folha", () => {
+  const leaves = hashes(4);
+  const root = merkleRoot(leaves);
+  // nó interno do par (0,1) apresentado como evento, com o irmão (2,3) como prova
+  const left = merkleNode(merkleLeaf(leaves[0]), merkleLeaf(leaves[1]));
+  const right = merkleNode(merkleLeaf(leaves[2]), merkleLeaf(leaves[3]));
+  assert.equal(merkleNode(left, right), root);
+  assert.notEqual(merkleRootFromProof(left, [{ side: "R", hash: right }]), root);
+});
+
+test("índice fora da faixa e árvore vazia são erro", () => {
+  assert.throws(() => merkleProof(hashes(3), 3), /out of range/);
+  assert.throws(() => merkleProof(hashes(3), -1), /out of range/);
+  assert.throws(() => merkleRoot([]), /at least one leaf/);
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isPublicAddress, parseAllowedHosts, outboundUrlError } = require("../src");
+
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address }));
+
+test("endereços internos, loopback, link-local e metadados não são públicos", () => {
+  for (const a of ["127.0.0.1", "10.1.2.3", "172.18.0.5", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0",
+    "::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:10.0.0.1"]) {
+    assert.equal(isPublicAddress(a), false, a);
+  }
+  for (const a of ["8.8.8.8", "172.32.0.1", "2606:4700:4700::1111", "::ffff:8.8.8.8"]) assert.equal(isPublicAddress(a), true, a);
+});
+
+test("URL com IP literal ou nome que resolve para endereço interno é recusada", async () => {
+  assert.match(await outboundUrlError("http://169.254.169.254/latest/meta-data"), /non-public/);
+  assert.match(await outboundUrlError("http://[::1]:8080/"), /non-public/);
+  assert.match(await outboundUrlError("http://postgres:5432", { lookup: resolvesTo("172.18.0.2") }), /non-public address 172\.18\.0\.2/);
+  // basta um dos endereços ser interno
+  assert.match(await outboundUrlError("https://mixed.example", { lookup: resolvesTo("8.8.8.8", "10.0.0.1") }), /10\.0\.0\.1/);
+});
+
+test("URL pública passa; host na allow-list passa sem resolver", async () => {
+  assert.equal(await outboundUrlError("https://hooks.example/x", { lookup: resolvesTo("93.184.216.34") }), null);
+  const allowedHosts = parseAllowedHosts(" Receiver.internal ,other ");
+  assert.deepEqual([...allowedHosts], ["receiver.internal", "other"]);
+  const lookup = async () => { throw new Error("should not resolve"); };
+  assert.equal(await outboundUrlError("http://receiver.internal:9000/hook", { allowedHosts, lookup }), null);
+});
+
+test("protocolo, URL inválida e nome que não resolve", async () => {
+  assert.equal(await outboundUrlError("ftp://example.com"), "url must be http(s)");
+  assert.equal(await outboundUrlError("not a url"), "invalid url");
+  const lookup = async () => { throw Object.assign(new Error("ENOTFOUND"), { code: "ENOTFOUND" }); };
+  assert.match(await outboundUrlError("https://nope.invalid", { lookup }), /does not resolve/);
+});
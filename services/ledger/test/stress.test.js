@@ -0,0 +1,65 @@
+// Stress do append concorrente: dispara appends assinados em paralelo, em conexões distintas, e prova
+// que a cadeia continua linear (nenhum prev_hash repetido) e verifica com o mesmo verificador da auditoria.
+// Roda num schema descartável, então não toca no ledger real; sem DATABASE_URL o teste é pulado:
+//   DATABASE_URL=postgres://... npm test   (ou npm run stress para só este)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { withTransaction, appendLedgerEvent, computeEventHash, keyIdOf, createKeyring, createChainVerifier } = require("../src");
+
+const DATABASE_URL = process.env.DATABASE_URL;
+const EVENTS = process.env.STRESS_EVENTS ? Number(process.env.STRESS_EVENTS) : 500;
+const CONCURRENCY = process.env.STRESS_CONCURRENCY ? Number(process.env.STRESS_CONCURRENCY) : 20;
+
+test("appends concorrentes não bifurcam a cadeia", { skip: !DATABASE_URL && "DATABASE_URL not set" }, async () => {
+  const { Pool } = require("pg");
+  const schema = `ledger_stress_${process.pid}`;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  const signingKey = { privateKey, publicKey, keyId: keyIdOf(publicKey) };
+
+  const admin = new Pool({ connectionString: DATABASE_URL, max: 1 });
+  await admin.query(`create schema ${schema}`);
+  const pool = new Pool({ connectionString: DATABASE_URL, max: CONCURRENCY, options: `-c search_path=${schema}` });
+  try {
+    // sem o índice único em prev_hash do init.sql: quem impede a bifurcação aqui é só o lock do append
+    await pool.query(
+      `create table ledger_events (
+         id bigserial primary key,
+         created_at timestamptz not null default now(),
+         event_type text not null,
+         payload jsonb not null,
+         prev_hash text not null,
+         event_hash text not null unique,
+         signature text,
+         key_id text
+       )`
+    );
+    const genesis = { note: "stress genesis" };
+    await pool.query(
+      "insert into ledger_events(event_type, payload, prev_hash, event_hash) values('GENESIS', $1, '0', $2)",
+      [genesis, computeEventHash("0", "GENESIS", genesis)]
+    );
+
+    let next = 0;
+    const runners = Array.from({ length: CONCURRENCY }, async (_, runner) => {
+      while (next < EVENTS) {
+        const n = next++;
+        await withTransaction(pool, (tx) => appendLedgerEvent(tx, "STRESS", { n, runner }, { signingKey }));
+      }
+    });
+    await Promise.all(runners);
+
+    const forks = await pool.query("select prev_hash, count(*)::int as n from ledger_events group by prev_hash having count(*) > 1");
+    assert.deepEqual(forks.rows, []);
+
+    const q = await pool.query("select id, event_type, payload, prev_hash, event_hash, signature, key_id from ledger_events order by id asc");
+    assert.equal(q.rowCount, EVENTS + 1);
+    const verifier = createChainVerifier({ keyring: createKeyring([publicKey]) });
+    const errors = q.rows.flatMap(e => verifier.check(e));
+    assert.deepEqual(errors, []);
+  } finally {
+    await pool.end();
+    await admin.query(`drop schema ${schema} cascade`);
+    await admin.end();
+  }
+});
@@ -1,19 +1,121 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { DECISION_COLORS, formatAge, card, row, btn, inp, label, mono, pre } from "./ui.js";
+import MapView from "./MapView.jsx";
 
-async function j(method, url, body) {
+// Sessão: JWT obtido em /api/auth/login trocando a API key; vale até expires_at
+const SESSION_KEY = "climarisk.session";
+
+function loadSession() {
+  try {
+    const s = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+    return s && Date.parse(s.expires_at) > Date.now() ? s : null;
+  } catch {
+    return null;
+  }
+}
+
+function authHeaders() {
+  const s = loadSession();
+  return s ? { authorization: `Bearer ${s.token}` } : {};
+}
+
+// 401 em qualquer chamada derruba a sessão e volta para o login
+function expireSession() {
+  localStorage.removeItem(SESSION_KEY);
+  window.dispatchEvent(new Event("climarisk:logout"));
+}
+
+// randomUUID só existe em contexto seguro (https/localhost)
+function newIdempotencyKey() {
+  return globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+async function j(method, url, body, headers) {
   const hasBody = body !== undefined && body !== null;
   const r = await fetch(url, {
     method,
-    headers: hasBody ? { "content-type": "application/json" } : {},
+    headers: { ...authHeaders(), ...(hasBody ? { "content-type": "application/json" } : {}), ...headers },
     body: hasBody ? JSON.stringify(body) : undefined
   });
+  if (r.status === 401 && url !== "/api/auth/login") expireSession();
   const t = await r.text();
   let data;
   try { data = JSON.parse(t); } catch { data = { raw: t }; }
-  if (!r.ok) throw new Error(data?.error || data?.message || `http_${r.status}`);
+  if (!r.ok) throw Object.assign(new Error(data?.error || data?.message || `http_${r.status}`), { status: r.status });
   return data;
 }
 
+// SSE de /api/read/stream lido via fetch (EventSource não manda o cabeçalho Authorization).
+// Reconecta sozinho; devolve a função que encerra a assinatura.
+function subscribeLive(onEvent, onState) {
+  const ac = new AbortController();
+  let stopped = false;
+
+  async function connect() {
+    const r = await fetch("/api/read/stream", { headers: authHeaders(), signal: ac.signal });
+    if (r.status === 401) return expireSession();
+    if (!r.ok) throw new Error(`http_${r.status}`);
+    onState(true);
+
+    const reader = r.body.getReader();
+    const dec = new TextDecoder();
+    let buf = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += dec.decode(value, { stream: true });
+      let i;
+      while ((i = buf.indexOf("\n\n")) >= 0) {
+        const block = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        let type = "message";
+        let data = "";
+        for (const line of block.split("\n")) {
+          if (line.startsWith("event: ")) type = line.slice(7);
+          else if (line.startsWith("data: ")) data += line.slice(6);
+        }
+        if (data) onEvent(type, JSON.parse(data));
+      }
+    }
+  }
+
+  (async () => {
+    while (!stopped) {
+      try {
+        await connect();
+      } catch {
+        // queda de rede ou API reiniciando: tenta de novo
+      }
+      onState(false);
+      if (!stopped) await new Promise((r) => setTimeout(r, 3000));
+    }
+  })();
+
+  return () => {
+    stopped = true;
+    ac.abort();
+  };
+}
+
+const JOB_LABELS = { "refresh-location": "atual", "forecast-location": "previsão" };
+const JOB_STATUS_COLORS = { queued: "#8b949e", running: "#58a6ff", retrying: "#ffb020", failed: "#ff4d4f" };
+
+// Status dos jobs do location vindos do stream; concluídos somem
+function JobStatus({ jobs }) {
+  const pending = Object.entries(jobs || {}).filter(([, s]) => s.status !== "completed");
+  if (!pending.length) return null;
+  return (
+    <div style={{ fontSize: 12, display: "grid", gap: 2 }}>
+      {pending.map(([name, s]) => (
+        <div key={name} style={{ color: JOB_STATUS_COLORS[s.status] || "inherit" }}>
+          {JOB_LABELS[name] || name}: {s.status}
+          {(s.status === "failed" || s.status === "retrying") && s.reason ? ` (${s.reason})` : ""}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function Badge({ decision }) {
   const s = decision || "—";
   return (
@@ -28,11 +130,128 @@ function Badge({ decision }) {
   );
 }
 
+// Linha do tempo por location: só transições (padrão) ou todo o histórico, paginado por cursor
+function Timeline({ locationId }) {
+  const [mode, setMode] = useState("transitions");
+  const [items, setItems] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function load(next) {
+    setErr("");
+    setBusy(true);
+    try {
+      const qs = new URLSearchParams({ limit: "20" });
+      if (next) qs.set("cursor", next);
+      const r = await j("GET", `/api/read/locations/${locationId}/${mode}?${qs}`);
+      setItems((prev) => (next ? [...prev, ...r.items] : r.items));
+      setCursor(r.next_cursor);
+    } catch (e) {
+      setErr(String(e.message || e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  useEffect(() => { load(null); }, [locationId, mode]);
+
+  return (
+    <div style={{ marginTop: 8 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <div style={label()}>linha do tempo</div>
+        <button onClick={() => setMode("transitions")} disabled={busy || mode === "transitions"} style={btn("ghost")}>Transições</button>
+        <button onClick={() => setMode("history")} disabled={busy || mode === "history"} style={btn("ghost")}>Tudo</button>
+      </div>
+      {err ? <div style={{ fontSize: 12, color: "#ff4d4f" }}>{err}</div> : null}
+      <div style={{ display: "grid", gap: 4, marginTop: 6 }}>
+        {items.map((it) => {
+          const decision = mode === "transitions" ? it.to : it.decision;
+          return (
+            <div key={it.id} style={{ display: "grid", gridTemplateColumns: "170px 200px 1fr", gap: 10, fontSize: 12, alignItems: "center" }}>
+              <div style={{ opacity: 0.75 }}>{new Date(it.created_at).toLocaleString()}</div>
+              <div>
+                <span style={{ display: "inline-block", width: 8, height: 8, borderRadius: 999, marginRight: 6, background: DECISION_COLORS[decision] }} />
+                {mode === "transitions" ? `${it.from || "—"} → ${it.to}` : decision}
+              </div>
+              <div style={mono()} title={it.ledger_event_id ? `ledger #${it.ledger_event_id}` : ""}>{it.ledger_hash}</div>
+            </div>
+          );
+        })}
+        {!items.length && !busy ? <div style={{ opacity: 0.7, fontSize: 12 }}>Sem histórico.</div> : null}
+      </div>
+      {cursor ? (
+        <button onClick={() => load(cursor)} disabled={busy} style={{ ...btn("ghost"), marginTop: 6 }}>
+          {busy ? "..." : "Carregar mais"}
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
+function Login({ onLogin }) {
+  const [apiKey, setApiKey] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function submit(e) {
+    e.preventDefault();
+    setErr("");
+    setBusy(true);
+    try {
+      const r = await j("POST", "/api/auth/login", { api_key: apiKey });
+      const session = { token: r.token, expires_at: r.expires_at, actor: r.actor };
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+      onLogin(session);
+    } catch (e) {
+      setErr(String(e.message || e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={{ minHeight: "100vh", background: "#0b0f14", color: "rgba(255,255,255,0.92)", fontFamily: "ui-sans-serif, system-ui" }}>
+      <form onSubmit={submit} style={{ ...card(), maxWidth: 380, margin: "0 auto", position: "relative", top: 120, display: "grid", gap: 10 }}>
+        <div style={{ fontSize: 22, fontWeight: 800 }}>N29 ClimaRisk</div>
+        <div style={{ opacity: 0.72, fontSize: 13 }}>Entre com sua API key; cada comando fica registrado no ledger em seu nome.</div>
+        <input type="password" value={apiKey} onChange={(e) => setApiKey(e.target.value)} placeholder="API key" autoFocus style={inp()} />
+        <button type="submit" disabled={busy || !apiKey} style={btn()}>{busy ? "..." : "Entrar"}</button>
+        {err ? <div style={{ color: "#ff4d4f", fontSize: 13 }}>{err}</div> : null}
+      </form>
+    </div>
+  );
+}
+
 export default function App() {
+  const [session, setSession] = useState(loadSession);
+
+  useEffect(() => {
+    const onLogout = () => setSession(null);
+    window.addEventListener("climarisk:logout", onLogout);
+    return () => window.removeEventListener("climarisk:logout", onLogout);
+  }, []);
+
+  if (!session) return <Login onLogin={setSession} />;
+  return <Dashboard session={session} onLogout={expireSession} />;
+}
+
+function Dashboard({ session, onLogout }) {
   const [locations, setLocations] = useState([]);
+  const [areas, setAreas] = useState([]);
   const [audit, setAudit] = useState(null);
   const [loading, setLoading] = useState(false);
   const [err, setErr] = useState("");
+  const [timelineFor, setTimelineFor] = useState(null);
+  const [showInactive, setShowInactive] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, name, lat, lon }
+  const [importResult, setImportResult] = useState(null);
+  const addKey = useRef(null); // { sig, key } do último "Add + Refresh"
+  const [jobs, setJobs] = useState({}); // location_id -> { [job name]: último evento de status }
+  const [liveOn, setLiveOn] = useState(false);
+  const [failedJobs, setFailedJobs] = useState(null); // null = ainda não carregado
+  const reloadTimer = useRef(null);
+  const loadLocationsRef = useRef(null);
 
   const [name, setName] = useState("Belo Horizonte");
   const [lat, setLat] = useState(-19.9167);
@@ -40,12 +259,23 @@ export default function App() {
 
   const total = useMemo(() => locations.length, [locations]);
 
+  // áreas vêm junto: composição e decisão agregada mudam com os locations
+  async function loadLocations() {
+    const [r, a] = await Promise.all([
+      j("GET", `/api/read/locations${showInactive ? "?include_inactive=1" : ""}`),
+      j("GET", "/api/read/areas?geometry=1")
+    ]);
+    setLocations(r.locations || []);
+    setAreas(a.areas || []);
+  }
+
+  loadLocationsRef.current = loadLocations;
+
   async function reload() {
     setErr("");
     setLoading(true);
     try {
-      const r = await j("GET", "/api/read/locations");
-      setLocations(r.locations || []);
+      await loadLocations();
     } catch (e) {
       setErr(String(e.message || e));
     } finally {
@@ -66,14 +296,22 @@ export default function App() {
     }
   }
 
-  async function addLocation() {
+  // mesma chave enquanto o corpo não muda: duplo clique ou retry viram replay, não outro location.
+  // Usado pelo formulário e pelo clique no mapa; devolve true se o location foi criado.
+  async function addLocation(body) {
+    const sig = JSON.stringify(body);
+    if (addKey.current?.sig !== sig) addKey.current = { sig, key: newIdempotencyKey() };
+
     setErr("");
     setLoading(true);
     try {
-      await j("POST", "/api/cmd/locations", { name, lat: Number(lat), lon: Number(lon) });
+      await j("POST", "/api/cmd/locations", body, { "idempotency-key": addKey.current.key });
       await reload();
+      return true;
     } catch (e) {
-      setErr(String(e.message || e));
+      // 409: o primeiro clique ainda está em andamento
+      if (e.status !== 409) setErr(String(e.message || e));
+      return false;
     } finally {
       setLoading(false);
     }
@@ -83,16 +321,106 @@ export default function App() {
     setErr("");
     setLoading(true);
     try {
+      // a linha é atualizada quando a decisão chega pelo stream
       await j("POST", `/api/cmd/locations/${id}/refresh`);
-      // dá tempo do worker processar; recarrega depois
-      setTimeout(() => reload(), 1200);
     } catch (e) {
       setErr(String(e.message || e));
+    } finally {
       setLoading(false);
     }
   }
 
-  useEffect(() => { reload(); }, []);
+  // comandos simples de location: executa, recarrega a lista e mostra erro se houver
+  async function command(method, url, body) {
+    setErr("");
+    setLoading(true);
+    try {
+      await j(method, url, body);
+      await reload();
+      return true;
+    } catch (e) {
+      setErr(String(e.message || e));
+      setLoading(false);
+      return false;
+    }
+  }
+
+  // Dead-letter: jobs que esgotaram as tentativas; retry e descarte ficam registrados no ledger
+  async function loadFailedJobs() {
+    setErr("");
+    try {
+      const r = await j("GET", "/api/read/jobs?state=failed&limit=50");
+      setFailedJobs(r.jobs || []);
+    } catch (e) {
+      setErr(String(e.message || e));
+    }
+  }
+
+  async function jobCommand(id, action) {
+    if (await command("POST", `/api/cmd/jobs/${encodeURIComponent(id)}/${action}`)) await loadFailedJobs();
+  }
+
+  // CSV ou GeoJSON (FeatureCollection de Points); o tipo vem da extensão do arquivo
+  async function importFile(file, dryRun) {
+    if (!file) return;
+    setErr("");
+    setLoading(true);
+    try {
+      const isCsv = /\.csv$/i.test(file.name);
+      const r = await fetch(`/api/cmd/locations/import${dryRun ? "?dry_run=1" : ""}`, {
+        method: "POST",
+        headers: { ...authHeaders(), "content-type": isCsv ? "text/csv" : "application/geo+json" },
+        body: await file.text()
+      });
+      if (r.status === 401) expireSession();
+      const data = await r.json();
+      if (!r.ok) throw new Error(data?.error?.formErrors?.join(", ") || data?.error || `http_${r.status}`);
+      setImportResult(data);
+      if (!dryRun) await reload();
+    } catch (e) {
+      setErr(String(e.message || e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function saveEdit() {
+    const { id, name, lat, lon } = editing;
+    const ok = await command("PATCH", `/api/cmd/locations/${id}`, { name, lat: Number(lat), lon: Number(lon) });
+    if (ok) setEditing(null);
+  }
+
+  function deactivate(l) {
+    const reason = window.prompt(`Desativar "${l.name}"? Motivo (opcional):`, "");
+    if (reason === null) return;
+    command("POST", `/api/cmd/locations/${l.id}/deactivate`, reason ? { reason } : {});
+  }
+
+  useEffect(() => { reload(); }, [showInactive]);
+
+  // Stream ao vivo: status de job por location e recarga da lista (com debounce) quando há decisão
+  // nova (de location ou de área) ou comando de location/área gravado no ledger, inclusive vindos de outros usuários
+  useEffect(() => {
+    const schedule = () => {
+      clearTimeout(reloadTimer.current);
+      reloadTimer.current = setTimeout(() => loadLocationsRef.current().catch(() => {}), 300);
+    };
+    const stop = subscribeLive((type, ev) => {
+      if (type === "job" && ev.location_id) {
+        setJobs((cur) => ({ ...cur, [ev.location_id]: { ...cur[ev.location_id], [ev.name]: ev } }));
+      } else if (type === "decision" && ev.scope === "current") {
+        schedule();
+      } else if (type === "area") {
+        schedule();
+      } else if (type === "ledger" && (ev.event_type.startsWith("CMD_LOCATION") || ev.event_type.startsWith("CMD_AREA"))) {
+        schedule();
+      }
+    }, setLiveOn);
+    return () => {
+      stop();
+      clearTimeout(reloadTimer.current);
+    };
+  }, []);
 
   return (
     <div style={{ minHeight: "100vh", background: "#0b0f14", color: "rgba(255,255,255,0.92)", fontFamily: "ui-sans-serif, system-ui" }}>
@@ -103,6 +431,13 @@ export default function App() {
             <div style={{ opacity: 0.72, fontSize: 13 }}>Decisão climática real → ledger imutável → projeções → UI</div>
           </div>
           <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+            <div style={{ fontSize: 12, color: liveOn ? "#3fb950" : "#8b949e" }}>
+              {liveOn ? "● ao vivo" : "○ reconectando"}
+            </div>
+            <div style={{ opacity: 0.72, fontSize: 13 }}>
+              {session.actor.id} · {session.actor.role}
+            </div>
+            <button onClick={onLogout} style={btn("ghost")}>Sair</button>
             <button onClick={reload} disabled={loading} style={btn()}>
               {loading ? "..." : "Recarregar"}
             </button>
@@ -127,7 +462,7 @@ export default function App() {
               <input value={lon} onChange={(e) => setLon(e.target.value)} placeholder="Lon" style={inp()} />
             </div>
             <div style={{ marginTop: 10, display: "flex", gap: 10 }}>
-              <button onClick={addLocation} disabled={loading} style={btn()}>
+              <button onClick={() => addLocation({ name, lat: Number(lat), lon: Number(lon) })} disabled={loading} style={btn()}>
                 Add + Refresh
               </button>
               <div style={{ opacity: 0.7, fontSize: 12, alignSelf: "center" }}>API: /api/cmd/locations</div>
@@ -140,7 +475,10 @@ export default function App() {
               {audit ? (
                 <div style={{ display: "grid", gap: 6 }}>
                   <div>ok: <b>{String(audit.ok)}</b></div>
-                  <div>count: <b>{audit.count}</b></div>
+                  <div>modo: <b>{audit.mode}</b>{audit.checkpoint ? ` (checkpoint #${audit.checkpoint.id})` : ""}</div>
+                  <div>verificados agora: <b>{audit.count}</b> / total: <b>{audit.total_verified}</b></div>
+                  <div>faixa: <b>{audit.range?.from_id || "—"} → {audit.range?.to_id || "—"}</b> em <b>{audit.duration_ms} ms</b></div>
+                  <div>âncoras conferidas: <b>{audit.anchors?.checked ?? "—"}</b>{audit.anchors?.last ? ` (última até #${audit.anchors.last.to_id})` : ""}</div>
                   <div>errors: <b>{audit.errors?.length || 0}</b></div>
                   {audit.errors?.length ? (
                     <pre style={pre()}>{JSON.stringify(audit.errors.slice(0, 5), null, 2)}</pre>
@@ -153,27 +491,137 @@ export default function App() {
           </div>
         </section>
 
+        <section style={{ marginTop: 12 }}>
+          <MapView locations={locations} areas={areas} jobs={jobs} busy={loading} onAdd={addLocation} />
+        </section>
+
+        <section style={{ marginTop: 12 }}>
+          <div style={card()}>
+            <div style={{ fontWeight: 800, marginBottom: 8 }}>Importar em lote</div>
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+              <input id="bulk-file" type="file" accept=".csv,.geojson,.json" style={{ fontSize: 12 }} />
+              <button onClick={() => importFile(document.getElementById("bulk-file").files[0], true)} disabled={loading} style={btn("ghost")}>
+                Validar
+              </button>
+              <button onClick={() => importFile(document.getElementById("bulk-file").files[0], false)} disabled={loading} style={btn()}>
+                Importar
+              </button>
+              <div style={{ opacity: 0.7, fontSize: 12 }}>CSV (name,lat,lon,...) ou GeoJSON FeatureCollection · API: /api/cmd/locations/import</div>
+            </div>
+            {importResult ? (
+              <div style={{ marginTop: 10, fontSize: 13, opacity: 0.85, display: "grid", gap: 4 }}>
+                <div>
+                  {importResult.dry_run ? "validação" : "importação"} ({importResult.source}): linhas <b>{importResult.rows}</b> ·
+                  válidas <b>{importResult.valid}</b> ·
+                  {importResult.dry_run ? <> a criar <b>{importResult.would_create}</b></> : <> criadas <b>{importResult.created}</b></>} ·
+                  duplicadas <b>{importResult.duplicates.length}</b> · com erro <b>{importResult.errors.length}</b>
+                </div>
+                {importResult.refresh ? (
+                  <div>refresh inicial em {importResult.refresh.batches} lote(s), último em {importResult.refresh.last_delay_sec}s</div>
+                ) : null}
+                {importResult.errors.length ? (
+                  <pre style={pre()}>{JSON.stringify(importResult.errors.slice(0, 20), null, 2)}</pre>
+                ) : null}
+              </div>
+            ) : null}
+          </div>
+        </section>
+
+        <section style={{ marginTop: 12 }}>
+          <div style={card()}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+              <div style={{ fontWeight: 800 }}>Jobs com falha{failedJobs ? ` (${failedJobs.length})` : ""}</div>
+              <button onClick={loadFailedJobs} disabled={loading} style={btn("ghost")}>
+                {failedJobs ? "Atualizar" : "Carregar"}
+              </button>
+            </div>
+            {failedJobs?.length ? (
+              <div style={{ marginTop: 10, display: "grid", gap: 8 }}>
+                {failedJobs.map((fj) => (
+                  <div key={fj.id} style={row()}>
+                    <div style={{ display: "grid", gap: 4, fontSize: 13 }}>
+                      <div>
+                        <b>{fj.name}</b> · job {fj.id} · {fj.attempts_made}/{fj.attempts} tentativas
+                      </div>
+                      <div style={{ opacity: 0.75, fontSize: 12 }}>
+                        {locations.find((l) => l.id === fj.data?.locationId)?.name || fj.data?.locationId || "—"} · {fj.finished_at || ""}
+                      </div>
+                      <div style={{ color: "#ff4d4f", fontSize: 12 }}>{fj.failed_reason}</div>
+                    </div>
+                    <div style={{ display: "grid", gap: 6, justifyItems: "end" }}>
+                      <button onClick={() => jobCommand(fj.id, "retry")} disabled={loading} style={btn()}>Tentar de novo</button>
+                      <button onClick={() => jobCommand(fj.id, "discard")} disabled={loading} style={btn("ghost")}>Descartar</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : failedJobs ? (
+              <div style={{ marginTop: 10, opacity: 0.75, fontSize: 13 }}>Nenhum job com falha.</div>
+            ) : null}
+          </div>
+        </section>
+
         <section style={{ marginTop: 12 }}>
           <div style={card()}>
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
               <div style={{ fontWeight: 800 }}>Locations ({total})</div>
-              <div style={{ opacity: 0.7, fontSize: 12 }}>Read model: /api/read/locations</div>
+              <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+                <label style={{ fontSize: 12, opacity: 0.8 }}>
+                  <input type="checkbox" checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} /> mostrar inativos
+                </label>
+                <div style={{ opacity: 0.7, fontSize: 12 }}>Read model: /api/read/locations</div>
+              </div>
             </div>
 
             <div style={{ marginTop: 10, display: "grid", gap: 10 }}>
               {locations.map((l) => (
-                <div key={l.id} style={row()}>
+                <div key={l.id} style={{ ...row(), opacity: l.is_active ? 1 : 0.6 }}>
                   <div style={{ display: "grid", gap: 4 }}>
-                    <div style={{ fontWeight: 800 }}>{l.name}</div>
+                    {editing?.id === l.id ? (
+                      <div style={{ display: "grid", gridTemplateColumns: "1fr 110px 110px auto auto", gap: 8 }}>
+                        <input value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} style={inp()} />
+                        <input value={editing.lat} onChange={(e) => setEditing({ ...editing, lat: e.target.value })} style={inp()} />
+                        <input value={editing.lon} onChange={(e) => setEditing({ ...editing, lon: e.target.value })} style={inp()} />
+                        <button onClick={saveEdit} disabled={loading} style={btn()}>Salvar</button>
+                        <button onClick={() => setEditing(null)} style={btn("ghost")}>Cancelar</button>
+                      </div>
+                    ) : (
+                      <div style={{ fontWeight: 800 }}>
+                        {l.name}
+                        {!l.is_active ? <b style={{ marginLeft: 8, fontSize: 12, color: "#8b949e" }}>INATIVO</b> : null}
+                      </div>
+                    )}
                     <div style={{ opacity: 0.75, fontSize: 12 }}>
                       {Number(l.lat).toFixed(4)}, {Number(l.lon).toFixed(4)}
                     </div>
+                    <div style={{ opacity: 0.75, fontSize: 12 }}>
+                      {l.age_sec == null ? "sem decisão ainda" : `última decisão há ${formatAge(l.age_sec)}`}
+                      {l.stale ? <b style={{ marginLeft: 6, color: "#ffb020" }}>STALE</b> : null}
+                    </div>
                   </div>
 
                   <div style={{ display: "grid", gap: 6, justifyItems: "end" }}>
                     <Badge decision={l.decision} />
-                    <button onClick={() => refresh(l.id)} disabled={loading} style={btn("ghost")}>
-                      Refresh
+                    <JobStatus jobs={jobs[l.id]} />
+                    {l.is_active ? (
+                      <>
+                        <button onClick={() => refresh(l.id)} disabled={loading} style={btn("ghost")}>
+                          Refresh
+                        </button>
+                        <button onClick={() => setEditing({ id: l.id, name: l.name, lat: l.lat, lon: l.lon })} disabled={loading} style={btn("ghost")}>
+                          Editar
+                        </button>
+                        <button onClick={() => deactivate(l)} disabled={loading} style={btn("ghost")}>
+                          Desativar
+                        </button>
+                      </>
+                    ) : (
+                      <button onClick={() => command("POST", `/api/cmd/locations/${l.id}/reactivate`)} disabled={loading} style={btn("ghost")}>
+                        Reativar
+                      </button>
+                    )}
+                    <button onClick={() => setTimelineFor(timelineFor === l.id ? null : l.id)} style={btn("ghost")}>
+                      {timelineFor === l.id ? "Fechar timeline" : "Timeline"}
                     </button>
                   </div>
 
@@ -191,6 +639,11 @@ export default function App() {
                         <div style={label()}>dados brutos</div>
                         <pre style={pre()}>{JSON.stringify(l.raw_weather || {}, null, 2)}</pre>
                       </div>
+                      {timelineFor === l.id ? (
+                        <div style={{ gridColumn: "1 / -1" }}>
+                          <Timeline locationId={l.id} />
+                        </div>
+                      ) : null}
                     </div>
                   </div>
                 </div>
@@ -211,64 +664,3 @@ export default function App() {
     </div>
   );
 }
-
-function card() {
-  return {
-    borderRadius: 16,
-    background: "rgba(255,255,255,0.04)",
-    border: "1px solid rgba(255,255,255,0.10)",
-    padding: 12
-  };
-}
-function row() {
-  return {
-    borderRadius: 14,
-    background: "rgba(0,0,0,0.25)",
-    border: "1px solid rgba(255,255,255,0.10)",
-    padding: 12,
-    display: "grid",
-    gridTemplateColumns: "1fr auto",
-    gap: 10
-  };
-}
-function btn(variant) {
-  const base = {
-    borderRadius: 12,
-    padding: "10px 12px",
-    border: "1px solid rgba(255,255,255,0.15)",
-    cursor: "pointer",
-    color: "rgba(255,255,255,0.92)"
-  };
-  if (variant === "ghost") {
-    return { ...base, background: "transparent" };
-  }
-  return { ...base, background: "rgba(255,255,255,0.08)" };
-}
-function inp() {
-  return {
-    borderRadius: 12,
-    padding: "10px 12px",
-    border: "1px solid rgba(255,255,255,0.12)",
-    background: "rgba(0,0,0,0.25)",
-    color: "rgba(255,255,255,0.92)",
-    outline: "none"
-  };
-}
-function label() {
-  return { fontSize: 12, opacity: 0.7, marginBottom: 4 };
-}
-function mono() {
-  return { fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace", fontSize: 12, opacity: 0.9 };
-}
-function pre() {
-  return {
-    margin: 0,
-    padding: 10,
-    borderRadius: 12,
-    border: "1px solid rgba(255,255,255,0.10)",
-    background: "rgba(0,0,0,0.30)",
-    overflow: "auto",
-    maxHeight: 260,
-    fontSize: 12
-  };
-}
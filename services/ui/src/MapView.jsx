@@ -0,0 +1,373 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import L from "./leaflet.js";
+import "leaflet.markercluster";
+import "leaflet/dist/leaflet.css";
+import "leaflet.markercluster/dist/MarkerCluster.css";
+import { DECISION_COLORS, formatAge, card, btn, inp, label, mono } from "./ui.js";
+
+// Tiles e enquadramento vêm de /map-config.json (servido junto com a UI; pode ser trocado no deploy
+// para um servidor de tiles próprio ou offline). Sem o arquivo, usa o OpenStreetMap público.
+const DEFAULT_MAP_CONFIG = {
+  tile_url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+  attribution: "&copy; OpenStreetMap",
+  subdomains: "abc",
+  max_zoom: 19,
+  center: [-19.9167, -43.9345],
+  zoom: 5
+};
+
+const PENDING_COLOR = "#8b949e";
+const SEVERITIES = ["CRITICAL", "ALERT", "NORMAL", "PENDING"];
+const SEVERITY_LABELS = { CRITICAL: "CRITICAL", ALERT: "ALERT", NORMAL: "NORMAL", PENDING: "sem decisão" };
+const SEVERITY_RANK = { PENDING: -1, NORMAL: 0, ALERT: 1, CRITICAL: 2 };
+
+function severityOf(l) {
+  return l.decision || "PENDING";
+}
+
+function colorOf(severity) {
+  return DECISION_COLORS[severity] || PENDING_COLOR;
+}
+
+// Leaflet insere conteúdo string de tooltip/popup como HTML: texto vindo da API (nomes) vai num nó com textContent
+function textNode(text) {
+  const el = document.createElement("span");
+  el.textContent = text;
+  return el;
+}
+
+function dotIcon(severity) {
+  return L.divIcon({
+    className: "",
+    iconSize: [16, 16],
+    iconAnchor: [8, 8],
+    html: `<div style="width:16px;height:16px;border-radius:999px;background:${colorOf(severity)};border:2px solid rgba(0,0,0,0.6)"></div>`
+  });
+}
+
+// Cluster herda a cor do location mais severo que agrupa
+function clusterIcon(cluster) {
+  const worst = cluster.getAllChildMarkers().reduce(
+    (w, m) => (SEVERITY_RANK[m.options.severity] > SEVERITY_RANK[w] ? m.options.severity : w),
+    "PENDING"
+  );
+  const n = cluster.getChildCount();
+  return L.divIcon({
+    className: "",
+    iconSize: [34, 34],
+    html: `<div style="width:34px;height:34px;border-radius:999px;display:grid;place-items:center;font:700 12px ui-sans-serif,system-ui;color:#0b0f14;background:${colorOf(worst)};border:3px solid rgba(0,0,0,0.45)">${n}</div>`
+  });
+}
+
+// ---- Explicação legível de applied_rule (formato de decideRisk em services/worker/src/rules.js) ----
+const INPUTS = {
+  tempC: { name: "temperatura", unit: "°C" },
+  windMs: { name: "vento", unit: "m/s" },
+  rain1hMm: { name: "chuva na última hora", short: "chuva horária", unit: "mm" }
+};
+const OPS = { ">=": "≥", "<=": "≤" };
+
+function ruleSubject(t) {
+  const d = INPUTS[t.input] || { name: t.input };
+  const short = d.short || d.name;
+  if (t.agg === "sum") return `soma de ${short} em ${t.window_hours}h`;
+  if (t.agg === "sustained") return `${short} em todas as últimas ${t.window_hours}h`;
+  return d.name;
+}
+
+// mesmo critério de ruleValue no worker: instantâneo ou agregado da janela
+function observedValue(t, inputs) {
+  if (!t.agg) return inputs?.[t.input] ?? null;
+  const w = inputs?.windows?.[`${t.input}:${t.agg}:${t.window_hours}h`];
+  if (!w) return null;
+  if (t.agg === "sum") return w.sum;
+  return t.op === ">=" ? w.min : w.max;
+}
+
+function thresholdSource(t, applied) {
+  if (t.source === "override") return "ajuste do location";
+  if (t.source === "profile") return `perfil ${applied.risk_profile}`;
+  return `ruleset v${applied.version}`;
+}
+
+function fmt(v, unit) {
+  return v === null || v === undefined ? "—" : `${Math.round(v * 10) / 10} ${unit}`;
+}
+
+export function explainDecision(applied) {
+  if (!applied || !Array.isArray(applied.rules)) return { summary: "Sem decisão registrada ainda.", lines: [] };
+
+  const byId = new Map((applied.thresholds || []).map(t => [t.id, t]));
+  const lines = applied.rules.map(r => {
+    const t = byId.get(r.id);
+    if (!t) return { severity: r.severity, text: `${r.id}: ${r.why}` };
+    const unit = INPUTS[t.input]?.unit || "";
+    return {
+      severity: r.severity,
+      text: `${ruleSubject(t)} ${fmt(observedValue(t, applied.inputs), unit)} ${OPS[t.op] || t.op} ${fmt(t.value, unit)} (regra ${t.id}, limiar do ${thresholdSource(t, applied)})`
+    };
+  });
+
+  const observed = Object.entries(INPUTS)
+    .map(([k, d]) => `${d.name} ${fmt(applied.inputs?.[k], d.unit)}`)
+    .join(", ");
+  const profile = applied.risk_profile ? `, perfil ${applied.risk_profile}` : "";
+  const summary = lines.length
+    ? `${lines.length === 1 ? "Uma regra disparou" : `${lines.length} regras dispararam`} (ruleset v${applied.version}${profile}). Observado: ${observed}.`
+    : `Nenhuma regra disparou (ruleset v${applied.version}${profile}). Observado: ${observed}.`;
+  return { summary, lines };
+}
+
+function DetailPanel({ location: l, jobs, onClose }) {
+  const { summary, lines } = explainDecision(l.applied_rule);
+  const pending = Object.entries(jobs || {}).filter(([, s]) => s.status !== "completed");
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+        <div style={{ fontWeight: 800 }}>{l.name}</div>
+        <button onClick={onClose} style={{ ...btn("ghost"), padding: "2px 8px" }}>×</button>
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <span style={{ width: 10, height: 10, borderRadius: 999, background: colorOf(severityOf(l)) }} />
+        <b>{l.decision || "sem decisão"}</b>
+        {l.stale ? <b style={{ color: "#ffb020", fontSize: 12 }}>STALE</b> : null}
+      </div>
+      <div style={{ opacity: 0.75, fontSize: 12 }}>
+        {Number(l.lat).toFixed(4)}, {Number(l.lon).toFixed(4)}
+        {l.age_sec == null ? "" : ` · há ${formatAge(l.age_sec)}`}
+      </div>
+      <div style={{ fontSize: 13 }}>{summary}</div>
+      {lines.map((x, i) => (
+        <div key={i} style={{ fontSize: 13, borderLeft: `3px solid ${colorOf(x.severity)}`, paddingLeft: 8 }}>
+          <b>{x.severity}</b> · {x.text}
+        </div>
+      ))}
+      {pending.map(([name, s]) => (
+        <div key={name} style={{ fontSize: 12, opacity: 0.8 }}>
+          job {name}: {s.status}{s.reason ? ` (${s.reason})` : ""}
+        </div>
+      ))}
+      <div>
+        <div style={label()}>hash do evento</div>
+        <div style={{ ...mono(), wordBreak: "break-all" }}>{l.ledger_hash || "—"}</div>
+      </div>
+    </div>
+  );
+}
+
+// ---- Áreas (decisão agregada, AREA_DECISION) ----
+function describeAggregation(a) {
+  return a.mode === "share"
+    ? `severidade atingida por ao menos ${a.threshold_pct}% dos membros com decisão`
+    : "pior decisão entre os membros";
+}
+
+function secondsSince(iso) {
+  return iso ? Math.max(0, Math.floor((Date.now() - new Date(iso).getTime()) / 1000)) : null;
+}
+
+function AreaPanel({ area: a, onClose }) {
+  const age = secondsSince(a.updated_at);
+  const m = a.members;
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+        <div style={{ fontWeight: 800 }}>{a.name}{a.kind ? <span style={{ opacity: 0.6, fontWeight: 400 }}> · {a.kind}</span> : null}</div>
+        <button onClick={onClose} style={{ ...btn("ghost"), padding: "2px 8px" }}>×</button>
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <span style={{ width: 10, height: 10, borderRadius: 3, background: colorOf(a.decision || "PENDING") }} />
+        <b>{a.decision || "sem decisão"}</b>
+        {age == null ? null : <span style={{ opacity: 0.7, fontSize: 12 }}>há {formatAge(age)}</span>}
+      </div>
+      <div style={{ fontSize: 13 }}>Regra: {describeAggregation(a.aggregation)}.</div>
+      <div style={{ fontSize: 13 }}>
+        {m.total} location(s) na área: {m.CRITICAL} CRITICAL · {m.ALERT} ALERT · {m.NORMAL} NORMAL
+        {m.pending ? ` · ${m.pending} sem decisão` : ""}
+      </div>
+      <div>
+        <div style={label()}>hash do evento</div>
+        <div style={{ ...mono(), wordBreak: "break-all" }}>{a.ledger_hash || "—"}</div>
+      </div>
+    </div>
+  );
+}
+
+// Mapa operacional: locations ativos coloridos pela decisão, agrupados, com filtro de severidade,
+// sobre os polígonos das áreas coloridos pela decisão agregada.
+// Clique num marcador abre o detalhe; clique no mapa vazio (ou dentro de uma área) abre o cadastro naquele ponto.
+export default function MapView({ locations, areas = [], jobs, busy, onAdd }) {
+  const el = useRef(null);
+  const mapRef = useRef(null);
+  const clusterRef = useRef(null);
+  const areasLayerRef = useRef(null);
+  const fitted = useRef(false);
+  const [config, setConfig] = useState(null);
+  const [filter, setFilter] = useState({ CRITICAL: true, ALERT: true, NORMAL: true, PENDING: true });
+  const [showAreas, setShowAreas] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [selectedAreaId, setSelectedAreaId] = useState(null);
+  const [draft, setDraft] = useState(null); // { lat, lon, name }
+
+  const active = useMemo(() => locations.filter(l => l.is_active), [locations]);
+  const counts = useMemo(() => {
+    const c = { CRITICAL: 0, ALERT: 0, NORMAL: 0, PENDING: 0 };
+    for (const l of active) c[severityOf(l)]++;
+    return c;
+  }, [active]);
+  const selected = active.find(l => l.id === selectedId) || null;
+  const selectedArea = areas.find(a => a.id === selectedAreaId) || null;
+
+  useEffect(() => {
+    fetch("/map-config.json")
+      .then(r => (r.ok ? r.json() : {}))
+      .catch(() => ({}))
+      .then(c => setConfig({ ...DEFAULT_MAP_CONFIG, ...c }));
+  }, []);
+
+  useEffect(() => {
+    if (!config || mapRef.current) return;
+    const map = L.map(el.current, { center: config.center, zoom: config.zoom });
+    L.tileLayer(config.tile_url, {
+      attribution: config.attribution,
+      subdomains: config.subdomains,
+      maxZoom: config.max_zoom
+    }).addTo(map);
+    const areasLayer = L.layerGroup().addTo(map);
+    const cluster = L.markerClusterGroup({ iconCreateFunction: clusterIcon, showCoverageOnHover: false });
+    map.addLayer(cluster);
+    map.on("click", (e) => {
+      setSelectedId(null);
+      setSelectedAreaId(null);
+      setDraft({ lat: e.latlng.lat, lon: e.latlng.lng, name: "" });
+    });
+    mapRef.current = map;
+    clusterRef.current = cluster;
+    areasLayerRef.current = areasLayer;
+    return () => {
+      map.remove();
+      mapRef.current = null;
+      clusterRef.current = null;
+      areasLayerRef.current = null;
+      fitted.current = false;
+    };
+  }, [config]);
+
+  // polígonos só com tooltip: o clique segue para o mapa (cadastro dentro da área continua possível)
+  useEffect(() => {
+    const layer = areasLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    if (!showAreas) return;
+    for (const a of areas) {
+      if (!a.geometry) continue;
+      const color = colorOf(a.decision || "PENDING");
+      const selectedNow = a.id === selectedAreaId;
+      L.geoJSON(a.geometry, { style: { color, weight: selectedNow ? 3 : 1.5, fillColor: color, fillOpacity: selectedNow ? 0.25 : 0.1 } })
+        .bindTooltip(textNode(`${a.name} · ${a.decision || "sem decisão"}`), { sticky: true })
+        .addTo(layer);
+    }
+  }, [areas, showAreas, selectedAreaId, config]);
+
+  useEffect(() => {
+    const cluster = clusterRef.current;
+    if (!cluster) return;
+    cluster.clearLayers();
+    const markers = active
+      .filter(l => filter[severityOf(l)])
+      .map(l => {
+        const severity = severityOf(l);
+        const m = L.marker([Number(l.lat), Number(l.lon)], { icon: dotIcon(severity), title: l.name, severity });
+        m.on("click", () => {
+          setDraft(null);
+          setSelectedAreaId(null);
+          setSelectedId(l.id);
+        });
+        return m;
+      });
+    cluster.addLayers(markers);
+    // enquadra uma vez, quando os primeiros locations chegam
+    if (!fitted.current && markers.length) {
+      mapRef.current.fitBounds(cluster.getBounds(), { padding: [30, 30], maxZoom: 10 });
+      fitted.current = true;
+    }
+  }, [active, filter, config]);
+
+  function selectArea(a) {
+    setDraft(null);
+    setSelectedId(null);
+    setSelectedAreaId(a.id);
+    if (a.geometry && mapRef.current) mapRef.current.fitBounds(L.geoJSON(a.geometry).getBounds(), { padding: [30, 30] });
+  }
+
+  async function addDraft() {
+    const ok = await onAdd({ name: draft.name, lat: Number(draft.lat.toFixed(6)), lon: Number(draft.lon.toFixed(6)) });
+    if (ok) setDraft(null);
+  }
+
+  return (
+    <div style={card()}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <div style={{ fontWeight: 800 }}>Mapa</div>
+        <div style={{ display: "flex", gap: 12, alignItems: "center", fontSize: 12 }}>
+          {SEVERITIES.map(s => (
+            <label key={s} style={{ display: "flex", alignItems: "center", gap: 4, opacity: filter[s] ? 1 : 0.5 }}>
+              <input type="checkbox" checked={filter[s]} onChange={(e) => setFilter({ ...filter, [s]: e.target.checked })} />
+              <span style={{ width: 8, height: 8, borderRadius: 999, background: colorOf(s) }} />
+              {SEVERITY_LABELS[s]} ({counts[s]})
+            </label>
+          ))}
+          <label style={{ display: "flex", alignItems: "center", gap: 4, opacity: showAreas ? 1 : 0.5 }}>
+            <input type="checkbox" checked={showAreas} onChange={(e) => setShowAreas(e.target.checked)} />
+            áreas ({areas.length})
+          </label>
+        </div>
+      </div>
+
+      <div style={{ marginTop: 10, display: "grid", gridTemplateColumns: "1fr 320px", gap: 12 }}>
+        <div ref={el} style={{ height: 460, borderRadius: 12, overflow: "hidden", background: "#111820" }} />
+        <div style={{ fontSize: 13 }}>
+          {selected ? (
+            <DetailPanel location={selected} jobs={jobs[selected.id]} onClose={() => setSelectedId(null)} />
+          ) : selectedArea ? (
+            <AreaPanel area={selectedArea} onClose={() => setSelectedAreaId(null)} />
+          ) : draft ? (
+            <div style={{ display: "grid", gap: 8 }}>
+              <div style={{ fontWeight: 800 }}>Novo location</div>
+              <div style={mono()}>{draft.lat.toFixed(5)}, {draft.lon.toFixed(5)}</div>
+              <input
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder="Nome"
+                autoFocus
+                style={inp()}
+              />
+              <div style={{ display: "flex", gap: 8 }}>
+                <button onClick={addDraft} disabled={busy || !draft.name.trim()} style={btn()}>Adicionar</button>
+                <button onClick={() => setDraft(null)} style={btn("ghost")}>Cancelar</button>
+              </div>
+            </div>
+          ) : (
+            <div style={{ display: "grid", gap: 10 }}>
+              <div style={{ opacity: 0.7 }}>
+                Clique num marcador para ver a decisão e a regra aplicada, ou num ponto vazio do mapa para cadastrar um location ali.
+              </div>
+              {areas.length ? (
+                <div style={{ display: "grid", gap: 6 }}>
+                  <div style={label()}>áreas</div>
+                  {areas.map(a => (
+                    <button key={a.id} onClick={() => selectArea(a)} style={{ ...btn("ghost"), display: "flex", alignItems: "center", gap: 8, textAlign: "left" }}>
+                      <span style={{ width: 10, height: 10, borderRadius: 3, background: colorOf(a.decision || "PENDING") }} />
+                      <span style={{ flex: 1 }}>{a.name}</span>
+                      <span style={{ opacity: 0.7, fontSize: 12 }}>{a.decision || "—"} · {a.members.total}</span>
+                    </button>
+                  ))}
+                </div>
+              ) : null}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,6 @@
+// leaflet.markercluster (UMD) se registra no L global: expõe o L do bundle antes de importá-lo
+import L from "leaflet";
+
+window.L = L;
+
+export default L;
@@ -0,0 +1,70 @@
+// Helpers de estilo e formatação compartilhados pelas telas (App, MapView)
+
+export const DECISION_COLORS = { NORMAL: "#3fb950", ALERT: "#ffb020", CRITICAL: "#ff4d4f" };
+
+export function formatAge(sec) {
+  if (sec < 60) return `${sec}s`;
+  if (sec < 3600) return `${Math.floor(sec / 60)}min`;
+  return `${Math.floor(sec / 3600)}h${String(Math.floor((sec % 3600) / 60)).padStart(2, "0")}`;
+}
+
+export function card() {
+  return {
+    borderRadius: 16,
+    background: "rgba(255,255,255,0.04)",
+    border: "1px solid rgba(255,255,255,0.10)",
+    padding: 12
+  };
+}
+export function row() {
+  return {
+    borderRadius: 14,
+    background: "rgba(0,0,0,0.25)",
+    border: "1px solid rgba(255,255,255,0.10)",
+    padding: 12,
+    display: "grid",
+    gridTemplateColumns: "1fr auto",
+    gap: 10
+  };
+}
+export function btn(variant) {
+  const base = {
+    borderRadius: 12,
+    padding: "10px 12px",
+    border: "1px solid rgba(255,255,255,0.15)",
+    cursor: "pointer",
+    color: "rgba(255,255,255,0.92)"
+  };
+  if (variant === "ghost") {
+    return { ...base, background: "transparent" };
+  }
+  return { ...base, background: "rgba(255,255,255,0.08)" };
+}
+export function inp() {
+  return {
+    borderRadius: 12,
+    padding: "10px 12px",
+    border: "1px solid rgba(255,255,255,0.12)",
+    background: "rgba(0,0,0,0.25)",
+    color: "rgba(255,255,255,0.92)",
+    outline: "none"
+  };
+}
+export function label() {
+  return { fontSize: 12, opacity: 0.7, marginBottom: 4 };
+}
+export function mono() {
+  return { fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace", fontSize: 12, opacity: 0.9 };
+}
+export function pre() {
+  return {
+    margin: 0,
+    padding: 10,
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.10)",
+    background: "rgba(0,0,0,0.30)",
+    overflow: "auto",
+    maxHeight: 260,
+    fontSize: 12
+  };
+}
@@ -0,0 +1,87 @@
+// Decisão agregada por área: recalculada na mesma transação da decisão de um membro que mudou
+// (refresh-location) e pelo job recompute-area, que a API enfileira quando a área ou sua composição muda.
+// Só grava AREA_DECISION quando a decisão agregada muda.
+const { lockLedger } = require("n29-climarisk-ledger");
+const { applyAreaProjection } = require("./projections");
+
+// worst = pior decisão entre os membros com decisão; share = a severidade mais alta em que ao menos
+// threshold_pct % dos membros com decisão estão nela ou acima. Sem membro com decisão: null.
+function aggregateDecision(aggregation, members) {
+  if (!members.decided) return null;
+  if (aggregation.mode === "worst") return ["CRITICAL", "ALERT", "NORMAL"].find(d => members[d] > 0);
+
+  let atOrAbove = 0;
+  for (const d of ["CRITICAL", "ALERT"]) {
+    atOrAbove += members[d];
+    if (atOrAbove * 100 >= aggregation.threshold_pct * members.decided) return d;
+  }
+  return "NORMAL";
+}
+
+// Áreas ativas que contêm o ponto, em ordem de id (ordem fixa de lock entre transações concorrentes)
+async function areasAt(tx, { lat, lon }) {
+  const q = await tx.query(
+    "select id from areas where is_active=true and geojson_contains(geometry, $1, $2) order by id",
+    [lon, lat]
+  );
+  return q.rows.map(r => r.id);
+}
+
+// deps: { appendLedgerEvent(tx, eventType, payload) }. Devolve o evento gravado ou null (sem mudança).
+async function recomputeArea(tx, { appendLedgerEvent }, areaId, trigger) {
+  // ordem de locks: ledger antes de areas, como no refresh-location (que já fez o append da decisão)
+  // e nos comandos de área da API; no refresh o lock já é desta transação e não espera
+  await lockLedger(tx);
+  // FOR UPDATE serializa recálculos da mesma área: o segundo conta os membros depois do commit do primeiro
+  const aq = await tx.query(
+    "select id, name, kind, geometry, aggregation from areas where id=$1 and is_active=true for update",
+    [areaId]
+  );
+  if (aq.rowCount === 0) return null;
+  const area = aq.rows[0];
+
+  const mq = await tx.query(
+    `select s.decision, count(*)::int as n
+       from locations l
+       left join location_state s on s.location_id = l.id
+      where l.is_active = true and geojson_contains($1, l.lon, l.lat)
+      group by s.decision`,
+    [area.geometry]
+  );
+  const members = { total: 0, decided: 0, NORMAL: 0, ALERT: 0, CRITICAL: 0 };
+  for (const r of mq.rows) {
+    members.total += r.n;
+    if (r.decision) {
+      members.decided += r.n;
+      members[r.decision] = r.n;
+    }
+  }
+
+  const decision = aggregateDecision(area.aggregation, members);
+  const cur = await tx.query("select decision from area_state where area_id=$1", [areaId]);
+  const previous = cur.rows[0]?.decision ?? null;
+  if (decision === previous && (cur.rowCount > 0 || decision === null)) return null;
+
+  const ev = await appendLedgerEvent(tx, "AREA_DECISION", {
+    area: { id: area.id, name: area.name, kind: area.kind },
+    decision,
+    previous,
+    aggregation: area.aggregation,
+    members,
+    trigger
+  });
+  await applyAreaProjection(tx, { areaId, decision, members, ledger_hash: ev.eventHash });
+  return { areaId, decision, previous, eventHash: ev.eventHash };
+}
+
+// Decisão de um location mudou: recalcula as áreas que o contêm (mesma transação da decisão)
+async function recomputeAreasAt(tx, deps, point, trigger) {
+  const changed = [];
+  for (const areaId of await areasAt(tx, point)) {
+    const r = await recomputeArea(tx, deps, areaId, trigger);
+    if (r) changed.push(r);
+  }
+  return changed;
+}
+
+module.exports = { aggregateDecision, recomputeArea, recomputeAreasAt };
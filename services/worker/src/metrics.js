@@ -0,0 +1,183 @@
+// Métricas Prometheus do worker, servidas em HTTP (METRICS_PORT, GET /metrics).
+// Contadores e histogramas medem o que este processo fez; os gauges de estado (decisão atual por
+// location/área, idade da decisão, tamanho do ledger) são lidos das projeções na coleta, então valem
+// mesmo após restart e incluem o que a API gravou.
+const http = require("http");
+const promClient = require("prom-client");
+
+const SEVERITY = { NORMAL: 0, ALERT: 1, CRITICAL: 2 };
+// scrapes em sequência (Prometheus a cada 5 s, várias réplicas) reaproveitam a mesma leitura do banco
+const STATE_TTL_MS = 10_000;
+
+function createWorkerMetrics({ pool, log }) {
+  promClient.collectDefaultMetrics();
+
+  const jobsProcessed = new promClient.Counter({
+    name: "jobs_processed_total",
+    help: "Total processed jobs",
+    labelNames: ["name", "status"]
+  });
+
+  const decisions = new promClient.Counter({
+    name: "climarisk_decisions_total",
+    help: "Decisions recorded in the ledger by this worker",
+    labelNames: ["scope", "decision"]
+  });
+
+  const transitions = new promClient.Counter({
+    name: "climarisk_decision_transitions_total",
+    help: "Changes of the current decision of a location (from=none on the first decision)",
+    labelNames: ["from", "to"]
+  });
+
+  const providerDuration = new promClient.Histogram({
+    name: "climarisk_provider_request_duration_seconds",
+    help: "Weather provider call latency",
+    labelNames: ["provider", "operation", "outcome"],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20]
+  });
+
+  const providerErrors = new promClient.Counter({
+    name: "climarisk_provider_errors_total",
+    help: "Failed weather provider calls",
+    labelNames: ["provider", "operation"]
+  });
+
+  // mesmo nome na API: o label job do Prometheus separa os dois
+  const ledgerAppend = new promClient.Histogram({
+    name: "climarisk_ledger_append_duration_seconds",
+    help: "Ledger append latency (advisory lock wait, hash, signature and insert)",
+    labelNames: ["event_type"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+  });
+
+  // ---- Estado lido das projeções ----
+  let state = null;
+  let stateAt = 0;
+
+  async function readState() {
+    const [locations, areas, ledgerLen, schedule] = await Promise.all([
+      pool.query(
+        `select l.id, l.name, s.decision, extract(epoch from now() - s.updated_at)::float8 as age_sec
+           from locations l
+           join location_state s on s.location_id = l.id
+          where l.is_active = true`
+      ),
+      pool.query(
+        `select a.id, a.name, s.decision
+           from areas a
+           join area_state s on s.area_id = a.id
+          where a.is_active = true and s.decision is not null`
+      ),
+      pool.query("select count(*)::float8 as n from ledger_events"),
+      pool.query("select sla_sec from scheduler_settings limit 1")
+    ]);
+    return { locations: locations.rows, areas: areas.rows, ledgerEvents: ledgerLen.rows[0].n, slaSec: schedule.rows[0]?.sla_sec ?? null };
+  }
+
+  // uma leitura por janela de STATE_TTL_MS, compartilhada pelos gauges; erro = gauges vazios nesta coleta
+  function currentState() {
+    if (!state || Date.now() - stateAt > STATE_TTL_MS) {
+      stateAt = Date.now();
+      state = readState().catch((e) => {
+        log("metrics state read failed:", e.message);
+        stateAt = 0;
+        return null;
+      });
+    }
+    return state;
+  }
+
+  new promClient.Gauge({
+    name: "climarisk_location_severity",
+    help: "Current decision of each active location (0=NORMAL, 1=ALERT, 2=CRITICAL)",
+    labelNames: ["location_id", "location"],
+    async collect() {
+      this.reset();
+      const s = await currentState();
+      for (const l of s?.locations || []) this.set({ location_id: l.id, location: l.name }, SEVERITY[l.decision]);
+    }
+  });
+
+  new promClient.Gauge({
+    name: "climarisk_location_decision_age_seconds",
+    help: "Age of the current decision of each active location",
+    labelNames: ["location_id", "location"],
+    async collect() {
+      this.reset();
+      const s = await currentState();
+      for (const l of s?.locations || []) this.set({ location_id: l.id, location: l.name }, l.age_sec);
+    }
+  });
+
+  new promClient.Gauge({
+    name: "climarisk_area_severity",
+    help: "Aggregated decision of each active area (0=NORMAL, 1=ALERT, 2=CRITICAL)",
+    labelNames: ["area_id", "area"],
+    async collect() {
+      this.reset();
+      const s = await currentState();
+      for (const a of s?.areas || []) this.set({ area_id: a.id, area: a.name }, SEVERITY[a.decision]);
+    }
+  });
+
+  new promClient.Gauge({
+    name: "climarisk_ledger_events",
+    help: "Events in the ledger (genesis included)",
+    async collect() {
+      this.reset();
+      const s = await currentState();
+      if (s) this.set(s.ledgerEvents);
+    }
+  });
+
+  new promClient.Gauge({
+    name: "climarisk_scheduler_sla_seconds",
+    help: "Maximum expected age of a decision (scheduler_settings.sla_sec)",
+    async collect() {
+      this.reset();
+      const s = await currentState();
+      if (s?.slaSec != null) this.set(s.slaSec);
+    }
+  });
+
+  // Envolve observe/forecast do provider com latência e erros; o resto da interface fica igual
+  function instrumentProvider(provider) {
+    const timed = (operation, fn) => async (...args) => {
+      const end = providerDuration.startTimer({ provider: provider.id, operation });
+      try {
+        const r = await fn.apply(provider, args);
+        end({ outcome: "ok" });
+        return r;
+      } catch (e) {
+        end({ outcome: "error" });
+        providerErrors.inc({ provider: provider.id, operation });
+        throw e;
+      }
+    };
+    const out = { ...provider, observe: timed("observe", provider.observe) };
+    if (typeof provider.forecast === "function") out.forecast = timed("forecast", provider.forecast);
+    return out;
+  }
+
+  function serve(port) {
+    const server = http.createServer(async (req, res) => {
+      if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+        res.writeHead(404).end();
+        return;
+      }
+      try {
+        const body = await promClient.register.metrics();
+        res.writeHead(200, { "Content-Type": promClient.register.contentType }).end(body);
+      } catch (e) {
+        res.writeHead(500).end(String(e.message || e));
+      }
+    });
+    server.listen(port, () => log("metrics on :" + port));
+    return server;
+  }
+
+  return { jobsProcessed, decisions, transitions, ledgerAppend, instrumentProvider, serve };
+}
+
+module.exports = { createWorkerMetrics };
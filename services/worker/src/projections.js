@@ -0,0 +1,170 @@
+// Projeções derivadas do ledger. O worker escreve com o mesmo client (transação) do evento;
+// o replay (replay.js) dobra o ledger inteiro com as mesmas funções, passando `at` = created_at do evento.
+
+async function applyProjections(tx, { locationId, decision, applied_rule, raw_weather, ledger_hash, at = null }) {
+  await tx.query(
+    `insert into location_state(location_id, updated_at, decision, applied_rule, raw_weather, ledger_hash)
+     values($1, coalesce($6::timestamptz, now()), $2, $3, $4, $5)
+     on conflict (location_id) do update
+       set updated_at=excluded.updated_at,
+           decision=excluded.decision,
+           applied_rule=excluded.applied_rule,
+           raw_weather=excluded.raw_weather,
+           ledger_hash=excluded.ledger_hash`,
+    [locationId, decision, applied_rule, raw_weather, ledger_hash, at]
+  );
+
+  await tx.query(
+    `insert into weather_snapshots(location_id, created_at, decision, applied_rule, raw_weather, ledger_hash)
+     values($1, coalesce($6::timestamptz, now()), $2, $3, $4, $5)`,
+    [locationId, decision, applied_rule, raw_weather, ledger_hash, at]
+  );
+}
+
+async function applyForecastProjection(tx, { locationId, horizon_hours, decision, earliest, windows, applied_rule, ledger_hash, at = null }) {
+  await tx.query(
+    `insert into location_forecast(location_id, updated_at, horizon_hours, decision, earliest, windows, applied_rule, ledger_hash)
+     values($1, coalesce($8::timestamptz, now()), $2, $3, $4, $5, $6, $7)
+     on conflict (location_id) do update
+       set updated_at=excluded.updated_at,
+           horizon_hours=excluded.horizon_hours,
+           decision=excluded.decision,
+           earliest=excluded.earliest,
+           windows=excluded.windows,
+           applied_rule=excluded.applied_rule,
+           ledger_hash=excluded.ledger_hash`,
+    [locationId, horizon_hours, decision, earliest, JSON.stringify(windows), applied_rule, ledger_hash, at]
+  );
+}
+
+async function applyAreaProjection(tx, { areaId, decision, members, ledger_hash, at = null }) {
+  await tx.query(
+    `insert into area_state(area_id, updated_at, decision, members, ledger_hash)
+     values($1, coalesce($5::timestamptz, now()), $2, $3, $4)
+     on conflict (area_id) do update
+       set updated_at=excluded.updated_at,
+           decision=excluded.decision,
+           members=excluded.members,
+           ledger_hash=excluded.ledger_hash`,
+    [areaId, decision, JSON.stringify(members), ledger_hash, at]
+  );
+}
+
+// ---- Fold do ledger: um handler por tipo de evento que altera projeção ----
+// Tipos sem handler (CMD_LOCATION_REFRESH, DECISION_UNAVAILABLE, AUDIT_CHECKPOINT, ...) não mudam projeção.
+const FOLDS = {
+  async CMD_LOCATION_ADD(tx, p, e) {
+    const l = p.location;
+    await tx.query(
+      `insert into locations(id, name, lat, lon, is_active, risk_profile, rule_overrides, weather_provider, created_at)
+       values($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+      [l.id, l.name, l.lat, l.lon, l.is_active ?? true, l.risk_profile ?? null, l.rule_overrides ?? null, l.weather_provider ?? null, e.created_at]
+    );
+  },
+
+  // lote: mesmo insert do CMD_LOCATION_ADD para cada location criado
+  async CMD_LOCATION_IMPORT(tx, p, e) {
+    for (const location of p.locations) await FOLDS.CMD_LOCATION_ADD(tx, { location }, e);
+  },
+
+  async CMD_LOCATION_UPDATE(tx, p) {
+    const c = p.changes;
+    await tx.query(
+      "update locations set name=coalesce($2, name), lat=coalesce($3, lat), lon=coalesce($4, lon) where id=$1",
+      [p.locationId, c.name ?? null, c.lat ?? null, c.lon ?? null]
+    );
+  },
+
+  async CMD_LOCATION_DEACTIVATE(tx, p) {
+    await tx.query("update locations set is_active=false where id=$1", [p.locationId]);
+  },
+
+  async CMD_LOCATION_REACTIVATE(tx, p) {
+    await tx.query("update locations set is_active=true where id=$1", [p.locationId]);
+  },
+
+  async CMD_LOCATION_PROFILE_SET(tx, p) {
+    await tx.query("update locations set risk_profile=$2, rule_overrides=$3 where id=$1", [p.locationId, p.risk_profile, p.rule_overrides]);
+  },
+
+  async CMD_LOCATION_PROVIDER_SET(tx, p) {
+    await tx.query("update locations set weather_provider=$2 where id=$1", [p.locationId, p.weather_provider]);
+  },
+
+  async CMD_LOCATION_SCHEDULE_SET(tx, p) {
+    await tx.query("update locations set refresh_interval_sec=$2 where id=$1", [p.locationId, p.refresh_interval_sec]);
+  },
+
+  async CMD_AREA_ADD(tx, p, e) {
+    const a = p.area;
+    await tx.query(
+      "insert into areas(id, name, kind, geometry, aggregation, is_active, created_at) values($1,$2,$3,$4,$5,$6,$7)",
+      [a.id, a.name, a.kind ?? null, JSON.stringify(a.geometry), JSON.stringify(a.aggregation), a.is_active ?? true, e.created_at]
+    );
+  },
+
+  async CMD_AREA_IMPORT(tx, p, e) {
+    for (const area of p.areas) await FOLDS.CMD_AREA_ADD(tx, { area }, e);
+  },
+
+  // changes traz só os campos alterados; kind pode mudar para null
+  async CMD_AREA_UPDATE(tx, p) {
+    const c = p.changes;
+    await tx.query(
+      `update areas set name=coalesce($2, name),
+                        kind=case when $3 then $4 else kind end,
+                        geometry=coalesce($5, geometry),
+                        aggregation=coalesce($6, aggregation)
+        where id=$1`,
+      [p.areaId, c.name ?? null, "kind" in c, c.kind ?? null,
+       c.geometry ? JSON.stringify(c.geometry) : null, c.aggregation ? JSON.stringify(c.aggregation) : null]
+    );
+  },
+
+  async CMD_AREA_DEACTIVATE(tx, p) {
+    await tx.query("update areas set is_active=false where id=$1", [p.areaId]);
+  },
+
+  async AREA_DECISION(tx, p, e) {
+    await applyAreaProjection(tx, {
+      areaId: p.area.id,
+      decision: p.decision,
+      members: p.members,
+      ledger_hash: e.event_hash,
+      at: e.created_at
+    });
+  },
+
+  async DECISION_WEATHER_RISK(tx, p, e) {
+    await applyProjections(tx, {
+      locationId: p.location.id,
+      decision: p.decision,
+      applied_rule: p.applied_rule,
+      raw_weather: p.raw_weather,
+      ledger_hash: e.event_hash,
+      at: e.created_at
+    });
+  },
+
+  async DECISION_FORECAST_RISK(tx, p, e) {
+    await applyForecastProjection(tx, {
+      locationId: p.location.id,
+      horizon_hours: p.horizon_hours,
+      decision: p.decision,
+      earliest: p.earliest,
+      windows: p.windows,
+      applied_rule: p.applied_rule,
+      ledger_hash: e.event_hash,
+      at: e.created_at
+    });
+  }
+};
+
+async function foldEvent(tx, e) {
+  const fold = FOLDS[e.event_type];
+  if (!fold) return false;
+  await fold(tx, e.payload, e);
+  return true;
+}
+
+module.exports = { applyProjections, applyForecastProjection, applyAreaProjection, foldEvent };
@@ -0,0 +1,70 @@
+const fs = require("fs");
+
+// Fixture local (arquivo JSON ou URL HTTP) para rodar offline em testes/CI.
+// Formato: { "default": { tempC, windMs, rain1hMm, forecast? }, "points": [{ lat, lon, tempC, windMs, rain1hMm, forecast? }] }
+// onde forecast = [{ at | in_hours, hours, tempC, windMs, rain1hMm }]; in_hours = início relativo a agora,
+// para fixtures versionadas não envelhecerem
+async function loadFixture(source, timeoutMs) {
+  if (/^https?:\/\//.test(source)) {
+    const r = await fetch(source, { method: "GET", signal: AbortSignal.timeout(timeoutMs) });
+    if (!r.ok) throw new Error(`fixture_http_${r.status}`);
+    return r.json();
+  }
+  return JSON.parse(await fs.promises.readFile(source, "utf8"));
+}
+
+async function fixtureEntry(source, timeoutMs, lat, lon) {
+  if (!source) throw new Error("WEATHER_FIXTURE not configured");
+  const fixture = await loadFixture(source, timeoutMs);
+
+  // coordenadas casam com tolerância de ~1km
+  const point = (fixture.points || []).find(p => Math.abs(p.lat - lat) < 0.01 && Math.abs(p.lon - lon) < 0.01);
+  const entry = point || fixture.default;
+  if (!entry) throw new Error(`fixture has no entry for ${lat},${lon}`);
+  return entry;
+}
+
+function createFixtureProvider({ source, timeoutMs = 10000 }) {
+  return {
+    id: "fixture",
+    version: "1",
+
+    async observe({ lat, lon }) {
+      const entry = await fixtureEntry(source, timeoutMs, lat, lon);
+
+      return {
+        observation: {
+          tempC: entry.tempC ?? null,
+          windMs: entry.windMs ?? 0,
+          rain1hMm: entry.rain1hMm ?? 0,
+          humidityPct: entry.humidityPct ?? null,
+          observedAt: entry.observedAt ?? null
+        },
+        raw: entry,
+        source
+      };
+    },
+
+    async forecast({ lat, lon, hours }) {
+      const entry = await fixtureEntry(source, timeoutMs, lat, lon);
+      if (!Array.isArray(entry.forecast)) throw new Error(`fixture has no forecast for ${lat},${lon}`);
+
+      const now = Date.now();
+      const limit = now + hours * 3600 * 1000;
+      const startOf = (w) => (w.in_hours != null ? now + w.in_hours * 3600 * 1000 : Date.parse(w.at));
+      const windows = entry.forecast
+        .filter(w => startOf(w) <= limit)
+        .map(w => ({
+          at: new Date(startOf(w)).toISOString(),
+          hours: w.hours ?? 1,
+          tempC: w.tempC ?? null,
+          windMs: w.windMs ?? 0,
+          rain1hMm: w.rain1hMm ?? 0
+        }));
+
+      return { windows, raw: entry.forecast, source };
+    }
+  };
+}
+
+module.exports = { createFixtureProvider };
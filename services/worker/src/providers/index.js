@@ -0,0 +1,113 @@
+const { createOpenWeatherMapProvider } = require("./openweathermap");
+const { createOpenMeteoProvider } = require("./openmeteo");
+const { createFixtureProvider } = require("./fixture");
+
+// Interface comum: { id, version, observe({ lat, lon }) -> { observation, raw, source },
+//                   forecast({ lat, lon, hours }) -> { windows, raw, source } }
+// observation normalizada: { tempC, windMs, rain1hMm, humidityPct, observedAt }
+// windows: [{ at, hours, tempC, windMs, rain1hMm }] (rain1hMm = média horária da janela)
+// timeoutMs limita cada chamada HTTP: provider travado vira tentativa falha e a cadeia segue
+function createProviders({ owmApiKeyFile, fixtureSource, timeoutMs }) {
+  const list = [
+    createOpenWeatherMapProvider({ apiKeyFile: owmApiKeyFile, timeoutMs }),
+    createOpenMeteoProvider({ timeoutMs }),
+    createFixtureProvider({ source: fixtureSource, timeoutMs })
+  ];
+  return new Map(list.map(p => [p.id, p]));
+}
+
+// Executa o provider e anexa a proveniência que vai para o ledger
+async function observeWith(provider, loc) {
+  const fetchedAt = new Date().toISOString();
+  const r = await provider.observe({ lat: loc.lat, lon: loc.lon });
+  return {
+    observation: r.observation,
+    raw: r.raw,
+    provenance: {
+      id: provider.id,
+      version: provider.version,
+      source: r.source,
+      fetched_at: fetchedAt,
+      observed_at: r.observation.observedAt
+    }
+  };
+}
+
+// Erro de uma tentativa como vai para o ledger; o abort do AbortSignal.timeout vira "timeout"
+function attemptError(e) {
+  return e?.name === "TimeoutError" ? "timeout" : String(e?.message || e);
+}
+
+// Percorre a cadeia de providers. Sem `all`, para no primeiro sucesso (fallback);
+// com `all`, consulta todos (consenso). Falhas ficam em `attempts` para irem ao ledger.
+async function observeChain(chain, loc, { all = false } = {}) {
+  const results = [];
+  const attempts = [];
+
+  for (const provider of chain) {
+    try {
+      const obs = await observeWith(provider, loc);
+      results.push(obs);
+      attempts.push({ provider: provider.id, version: provider.version, ok: true });
+      if (!all) break;
+    } catch (e) {
+      attempts.push({ provider: provider.id, version: provider.version, ok: false, error: attemptError(e) });
+    }
+  }
+
+  return { results, attempts };
+}
+
+// Previsão: primeiro provider da cadeia que responder
+async function forecastChain(chain, loc, hours) {
+  const attempts = [];
+
+  for (const provider of chain) {
+    if (typeof provider.forecast !== "function") continue;
+    const fetchedAt = new Date().toISOString();
+    try {
+      const r = await provider.forecast({ lat: loc.lat, lon: loc.lon, hours });
+      attempts.push({ provider: provider.id, version: provider.version, ok: true });
+      return {
+        result: {
+          windows: r.windows,
+          raw: r.raw,
+          provenance: { id: provider.id, version: provider.version, source: r.source, fetched_at: fetchedAt }
+        },
+        attempts
+      };
+    } catch (e) {
+      attempts.push({ provider: provider.id, version: provider.version, ok: false, error: attemptError(e) });
+    }
+  }
+
+  return { result: null, attempts };
+}
+
+function median(values) {
+  const v = values.filter(x => typeof x === "number" && Number.isFinite(x)).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+const OBSERVATION_FIELDS = ["tempC", "windMs", "rain1hMm"];
+
+// Mediana campo a campo entre as observações
+function medianObservation(results) {
+  const out = {};
+  for (const f of OBSERVATION_FIELDS) out[f] = median(results.map(r => r.observation[f]));
+  return out;
+}
+
+// Dispersão (max - min) por campo: quanto os providers discordam
+function observationSpread(results) {
+  const out = {};
+  for (const f of OBSERVATION_FIELDS) {
+    const v = results.map(r => r.observation[f]).filter(x => typeof x === "number" && Number.isFinite(x));
+    out[f] = v.length ? Math.max(...v) - Math.min(...v) : null;
+  }
+  return out;
+}
+
+module.exports = { createProviders, observeWith, observeChain, forecastChain, medianObservation, observationSpread };
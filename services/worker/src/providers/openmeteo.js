@@ -0,0 +1,73 @@
+// Open-Meteo /v1/forecast: condições atuais + precipitação da última hora (sem chave)
+function createOpenMeteoProvider({ baseUrl = "https://api.open-meteo.com", timeoutMs = 10000 } = {}) {
+  return {
+    id: "open-meteo",
+    version: "v1",
+
+    async observe({ lat, lon }) {
+      const url = `${baseUrl}/v1/forecast?latitude=${encodeURIComponent(lat)}&longitude=${encodeURIComponent(lon)}` +
+        "&current=temperature_2m,relative_humidity_2m,wind_speed_10m&hourly=precipitation" +
+        "&past_hours=1&forecast_hours=1&wind_speed_unit=ms&timezone=UTC";
+
+      const r = await fetch(url, { method: "GET", signal: AbortSignal.timeout(timeoutMs) });
+      const text = await r.text();
+      let json;
+      try { json = JSON.parse(text); } catch { json = { raw: text }; }
+      if (!r.ok) {
+        const msg = (json && json.reason) ? json.reason : `open_meteo_http_${r.status}`;
+        throw new Error(msg);
+      }
+
+      const current = json?.current || {};
+
+      // precipitação horária é a soma da hora anterior a cada timestamp: pega a última hora <= agora
+      let rain1hMm = 0;
+      const times = json?.hourly?.time || [];
+      const precip = json?.hourly?.precipitation || [];
+      for (let i = 0; i < times.length; i++) {
+        if (current.time && times[i] > current.time) break;
+        rain1hMm = precip[i] ?? 0;
+      }
+
+      return {
+        observation: {
+          tempC: current.temperature_2m ?? null,
+          windMs: current.wind_speed_10m ?? 0,
+          rain1hMm,
+          humidityPct: current.relative_humidity_2m ?? null,
+          observedAt: current.time ? new Date(current.time + "Z").toISOString() : null
+        },
+        raw: json,
+        source: url
+      };
+    },
+
+    // previsão horária para as próximas `hours` horas
+    async forecast({ lat, lon, hours }) {
+      const url = `${baseUrl}/v1/forecast?latitude=${encodeURIComponent(lat)}&longitude=${encodeURIComponent(lon)}` +
+        `&hourly=temperature_2m,wind_speed_10m,precipitation&forecast_hours=${hours}&wind_speed_unit=ms&timezone=UTC`;
+
+      const r = await fetch(url, { method: "GET", signal: AbortSignal.timeout(timeoutMs) });
+      const text = await r.text();
+      let json;
+      try { json = JSON.parse(text); } catch { json = { raw: text }; }
+      if (!r.ok) {
+        const msg = (json && json.reason) ? json.reason : `open_meteo_http_${r.status}`;
+        throw new Error(msg);
+      }
+
+      const h = json?.hourly || {};
+      const windows = (h.time || []).map((t, i) => ({
+        at: new Date(t + "Z").toISOString(),
+        hours: 1,
+        tempC: h.temperature_2m?.[i] ?? null,
+        windMs: h.wind_speed_10m?.[i] ?? 0,
+        rain1hMm: h.precipitation?.[i] ?? 0
+      }));
+
+      return { windows, raw: json, source: url };
+    }
+  };
+}
+
+module.exports = { createOpenMeteoProvider };
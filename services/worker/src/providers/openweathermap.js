@@ -0,0 +1,70 @@
+const fs = require("fs");
+
+function readKeyFromFile(path) {
+  const raw = fs.readFileSync(path, "utf8").trim();
+  if (!raw) throw new Error("OWM api key file empty");
+  return raw;
+}
+
+// OpenWeatherMap /data/2.5/weather (condições atuais)
+function createOpenWeatherMapProvider({ apiKeyFile, timeoutMs = 10000 }) {
+  return {
+    id: "openweathermap",
+    version: "2.5",
+
+    async observe({ lat, lon }) {
+      const apiKey = readKeyFromFile(apiKeyFile);
+      const base = `https://api.openweathermap.org/data/2.5/weather?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}&units=metric`;
+
+      const r = await fetch(`${base}&appid=${encodeURIComponent(apiKey)}`, { method: "GET", signal: AbortSignal.timeout(timeoutMs) });
+      const text = await r.text();
+      let json;
+      try { json = JSON.parse(text); } catch { json = { raw: text }; }
+      if (!r.ok) {
+        const msg = (json && json.message) ? json.message : `owm_http_${r.status}`;
+        throw new Error(msg);
+      }
+
+      return {
+        observation: {
+          tempC: json?.main?.temp ?? null,
+          windMs: json?.wind?.speed ?? 0,
+          rain1hMm: json?.rain?.["1h"] ?? 0,
+          humidityPct: json?.main?.humidity ?? null,
+          observedAt: json?.dt ? new Date(json.dt * 1000).toISOString() : null
+        },
+        raw: json,
+        // a chave nunca vai para o ledger
+        source: base
+      };
+    },
+
+    // /data/2.5/forecast: janelas de 3h; chuva vira média horária da janela
+    async forecast({ lat, lon, hours }) {
+      const apiKey = readKeyFromFile(apiKeyFile);
+      const cnt = Math.ceil(hours / 3);
+      const base = `https://api.openweathermap.org/data/2.5/forecast?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}&units=metric&cnt=${cnt}`;
+
+      const r = await fetch(`${base}&appid=${encodeURIComponent(apiKey)}`, { method: "GET", signal: AbortSignal.timeout(timeoutMs) });
+      const text = await r.text();
+      let json;
+      try { json = JSON.parse(text); } catch { json = { raw: text }; }
+      if (!r.ok) {
+        const msg = (json && json.message) ? json.message : `owm_http_${r.status}`;
+        throw new Error(msg);
+      }
+
+      const windows = (json?.list || []).map(e => ({
+        at: new Date(e.dt * 1000).toISOString(),
+        hours: 3,
+        tempC: e?.main?.temp ?? null,
+        windMs: e?.wind?.speed ?? 0,
+        rain1hMm: (e?.rain?.["3h"] ?? 0) / 3
+      }));
+
+      return { windows, raw: json, source: base };
+    }
+  };
+}
+
+module.exports = { createOpenWeatherMapProvider };
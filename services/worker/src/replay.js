@@ -0,0 +1,150 @@
+// Replay das projeções: trunca locations, location_state, weather_snapshots, location_forecast, areas e area_state
+// e reconstrói tudo dobrando o ledger em ordem de id (projections.js), numa única transação.
+//   DATABASE_URL=... LEDGER_SIGNING_KEY_FILE=... [LEDGER_KEYRING_FILE=...] node src/replay.js [--dry-run]
+// --dry-run faz o mesmo e desfaz (rollback): só reporta onde as projeções atuais divergem do ledger
+// (exit code 2 quando divergem).
+// O ledger é verificado durante o fold (mesmas regras da auditoria); qualquer erro aborta sem gravar.
+const { Pool, types } = require("pg");
+const ledger = require("n29-climarisk-ledger");
+const { foldEvent } = require("./projections");
+
+const DATABASE_URL = process.env.DATABASE_URL;
+const LEDGER_SIGNING_KEY_FILE = process.env.LEDGER_SIGNING_KEY_FILE || "/run/secrets/ledger_signing_key";
+const LEDGER_KEYRING_FILE = process.env.LEDGER_KEYRING_FILE || "";
+const DIFF_SAMPLE = 50;
+
+// tabelas comparadas no diff: chave natural (ids de snapshot mudam no replay, o ledger_hash não)
+const PROJECTIONS = [
+  { table: "locations", key: "id" },
+  { table: "location_state", key: "location_id" },
+  { table: "weather_snapshots", key: "ledger_hash", ignore: ["id"] },
+  { table: "location_forecast", key: "location_id" },
+  { table: "areas", key: "id" },
+  { table: "area_state", key: "area_id" }
+];
+
+async function diffTable(tx, { table, key, ignore = [] }) {
+  const strip = ignore.map(c => ` - '${c}'`).join("");
+  const q = await tx.query(
+    `select coalesce(b.${key}, a.${key})::text as key,
+            to_jsonb(b)${strip} as before,
+            to_jsonb(a)${strip} as after
+       from replay_before_${table} b
+       full join ${table} a on a.${key} = b.${key}
+      where (to_jsonb(b)${strip}) is distinct from (to_jsonb(a)${strip})
+      order by 1`
+  );
+
+  const missing = [];   // no ledger, ausente da projeção
+  const extra = [];     // na projeção, sem origem no ledger
+  const changed = [];
+  for (const r of q.rows) {
+    if (!r.before) missing.push(r.key);
+    else if (!r.after) extra.push(r.key);
+    else {
+      const fields = Object.keys(r.after).filter(k => JSON.stringify(r.before[k]) !== JSON.stringify(r.after[k]));
+      changed.push({ key: r.key, fields, before: Object.fromEntries(fields.map(f => [f, r.before[f]])), after: Object.fromEntries(fields.map(f => [f, r.after[f]])) });
+    }
+  }
+
+  return {
+    in_sync: q.rowCount === 0,
+    missing: missing.length,
+    extra: extra.length,
+    changed: changed.length,
+    sample: { missing: missing.slice(0, DIFF_SAMPLE), extra: extra.slice(0, DIFF_SAMPLE), changed: changed.slice(0, DIFF_SAMPLE) }
+  };
+}
+
+// keyring: chaves aceitas nas assinaturas do ledger (ledger.loadKeyring)
+async function replayProjections(pool, keyring, { dryRun }) {
+  const started = Date.now();
+  const tx = await pool.connect();
+  try {
+    await tx.query("begin");
+    // tabelas antes do lock do ledger: quem já segura uma linha de projeção termina primeiro
+    await tx.query(`lock table ${PROJECTIONS.map(p => p.table).join(", ")} in exclusive mode`);
+    await ledger.lockLedger(tx);
+
+    for (const p of PROJECTIONS) {
+      await tx.query(`create temp table replay_before_${p.table} on commit drop as select * from ${p.table}`);
+    }
+    // subscriptions referenciam locations (cascade): guardadas e restauradas depois do fold
+    await tx.query("create temp table replay_subscriptions on commit drop as select * from subscriptions");
+    await tx.query("create temp table replay_deliveries on commit drop as select * from webhook_deliveries");
+
+    await tx.query("truncate locations, location_state, weather_snapshots, location_forecast, areas, area_state cascade");
+
+    const chain = ledger.createChainVerifier({ keyring });
+    const folded = {};
+    let count = 0;
+    for await (const e of ledger.readEvents(tx)) {
+      const errors = chain.check(e);
+      if (errors.length) throw new Error(`ledger verification failed at event ${e.id}: ${errors.map(x => x.error).join(",")}`);
+      if (await foldEvent(tx, e)) folded[e.event_type] = (folded[e.event_type] || 0) + 1;
+      count++;
+    }
+
+    const subs = await tx.query(
+      `insert into subscriptions
+       select * from replay_subscriptions s
+        where s.location_id is null or exists (select 1 from locations l where l.id = s.location_id)`
+    );
+    await tx.query(
+      `insert into webhook_deliveries
+       select * from replay_deliveries d
+        where exists (select 1 from subscriptions s where s.id = d.subscription_id)`
+    );
+    const lost = await tx.query("select count(*)::int as n from replay_subscriptions");
+
+    const diff = {};
+    for (const p of PROJECTIONS) diff[p.table] = await diffTable(tx, p);
+
+    await tx.query(dryRun ? "rollback" : "commit");
+
+    return {
+      ok: true,
+      dry_run: dryRun,
+      in_sync: Object.values(diff).every(d => d.in_sync),
+      events: count,
+      head: { hash: chain.head },
+      folded,
+      subscriptions_dropped: lost.rows[0].n - subs.rowCount,
+      duration_ms: Date.now() - started,
+      diff
+    };
+  } catch (e) {
+    await tx.query("rollback").catch(() => {});
+    throw e;
+  } finally {
+    tx.release();
+  }
+}
+
+async function main() {
+  if (!DATABASE_URL) throw new Error("DATABASE_URL missing");
+  const dryRun = process.argv.includes("--dry-run");
+
+  // timestamptz como texto: Date do JS perde os microssegundos e o replay não reproduziria created_at/updated_at
+  const pool = new Pool({
+    connectionString: DATABASE_URL,
+    types: { getTypeParser: (oid, format) => (oid === types.builtins.TIMESTAMPTZ ? (v) => v : types.getTypeParser(oid, format)) }
+  });
+  try {
+    const keyring = ledger.loadKeyring(LEDGER_KEYRING_FILE, [ledger.loadSigningKey(LEDGER_SIGNING_KEY_FILE).publicKey]);
+    const result = await replayProjections(pool, keyring, { dryRun });
+    console.log(JSON.stringify(result, null, 2));
+    process.exitCode = dryRun && !result.in_sync ? 2 : 0;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error("[replay] failed:", e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { replayProjections };
@@ -0,0 +1,203 @@
+const { sha256Hex, stableStringify, RISK_PROFILES } = require("n29-climarisk-ledger");
+
+// Regras embutidas: equivalem ao ruleset histórico (versão 1) e valem enquanto nenhum ruleset estiver ACTIVE
+const BUILTIN_RULES = [
+  { id: "RAIN_20MM_1H", input: "rain1hMm", op: ">=", value: 20, severity: "CRITICAL" },
+  { id: "RAIN_8MM_1H", input: "rain1hMm", op: ">=", value: 8, severity: "ALERT" },
+  { id: "WIND_20MS", input: "windMs", op: ">=", value: 20, severity: "CRITICAL" },
+  { id: "WIND_12MS", input: "windMs", op: ">=", value: 12, severity: "ALERT" },
+  { id: "TEMP_38C", input: "tempC", op: ">=", value: 38, severity: "CRITICAL" },
+  { id: "TEMP_33C", input: "tempC", op: ">=", value: 33, severity: "ALERT" },
+  { id: "TEMP_-3C", input: "tempC", op: "<=", value: -3, severity: "CRITICAL" },
+  { id: "TEMP_2C", input: "tempC", op: "<=", value: 2, severity: "ALERT" }
+];
+
+const INPUT_LABELS = { tempC: "temp_c", windMs: "wind_ms", rain1hMm: "rain_1h_mm" };
+const SEVERITY_RANK = { NORMAL: 0, ALERT: 1, CRITICAL: 2 };
+
+function rulesHash(rules) {
+  return sha256Hex(stableStringify(rules));
+}
+
+const BUILTIN_RULESET = { id: null, version: 1, rules: BUILTIN_RULES, content_hash: rulesHash(BUILTIN_RULES) };
+
+
+// ---- Regras sobre janelas de histórico (acumulado / duração) ----
+// agg "sum": soma horária do input na janela (ex.: chuva em 24h)
+// agg "sustained": o limiar vale em todas as horas da janela (ex.: 3h seguidas acima de 35°C)
+function windowKey(r) {
+  return `${r.input}:${r.agg}:${r.window_hours}h`;
+}
+
+function historyHours(ruleset) {
+  return Math.max(0, ...ruleset.rules.filter(r => r.agg).map(r => r.window_hours));
+}
+
+const HOUR_MS = 3600 * 1000;
+
+// Agrupa o histórico por hora (última observação de cada hora vence) e agrega cada janela.
+// history: [{ at, tempC, windMs, rain1hMm }] em ordem crescente; `current` entra como a observação de `now`.
+function buildWindows(rules, history, current, now) {
+  const out = {};
+  const nowMs = Date.parse(now);
+
+  for (const r of rules.filter(x => x.agg)) {
+    const key = windowKey(r);
+    if (out[key]) continue;
+
+    const from = Math.floor(nowMs / HOUR_MS) * HOUR_MS - (r.window_hours - 1) * HOUR_MS;
+    const buckets = new Map();
+    for (const h of [...history, { ...current, at: now }]) {
+      const t = Date.parse(h.at);
+      if (t < from || t > nowMs) continue;
+      const v = h[r.input];
+      if (typeof v !== "number" || !Number.isFinite(v)) continue;
+      buckets.set(new Date(Math.floor(t / HOUR_MS) * HOUR_MS).toISOString(), v);
+    }
+
+    const points = [...buckets.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([at, value]) => ({ at, value }));
+    const values = points.map(p => p.value);
+
+    out[key] = {
+      from: new Date(from).toISOString(),
+      to: now,
+      points,
+      complete: points.length >= r.window_hours,
+      sum: values.reduce((a, b) => a + b, 0),
+      min: values.length ? Math.min(...values) : null,
+      max: values.length ? Math.max(...values) : null
+    };
+  }
+
+  return out;
+}
+
+// Só os campos avaliados pelas regras entram em applied_rule.inputs; com contexto de histórico,
+// os dados de cada janela vão junto para a decisão ser reproduzível só com o ledger
+function ruleInputs(o, ctx) {
+  const inputs = { tempC: o.tempC, windMs: o.windMs, rain1hMm: o.rain1hMm };
+  if (ctx && ctx.ruleset.rules.some(r => r.agg)) {
+    inputs.windows = buildWindows(ctx.ruleset.rules, ctx.history, inputs, ctx.now);
+  }
+  return inputs;
+}
+
+// Valor comparado com o limiar: instantâneo ou agregado da janela (null = janela insuficiente)
+function ruleValue(r, inputs) {
+  if (!r.agg) return inputs[r.input];
+
+  const w = inputs.windows?.[windowKey(r)];
+  if (!w) return null;
+  if (r.agg === "sum") return w.sum;
+  if (!w.complete) return null;
+  return r.op === ">=" ? w.min : w.max;
+}
+
+function ruleLabel(r) {
+  const base = INPUT_LABELS[r.input];
+  return r.agg ? `${base}_${r.agg}_${r.window_hours}h` : base;
+}
+
+// Limiares efetivos: ruleset base <- perfil do location <- overrides explícitos
+function effectiveRules(ruleset, { risk_profile, rule_overrides }) {
+  const profile = risk_profile ? RISK_PROFILES[risk_profile] : null;
+  if (risk_profile && !profile) throw new Error(`unknown risk_profile ${risk_profile}`);
+
+  return ruleset.rules.map(r => {
+    if (rule_overrides && rule_overrides[r.id] !== undefined) return { ...r, value: rule_overrides[r.id], source: "override" };
+    if (profile && profile[r.id] !== undefined) return { ...r, value: profile[r.id], source: "profile" };
+    return { ...r, source: "ruleset" };
+  });
+}
+
+// Regras explícitas, avaliadas a partir do ruleset (por input/janela+operador vale só a mais severa)
+function decideRisk(inputs, ruleset, tuning = {}) {
+  const thresholds = effectiveRules(ruleset, tuning);
+  const best = new Map();
+
+  for (const r of thresholds) {
+    // sem valor (campo ausente no provider ou janela insuficiente) a regra não avalia: null <= 2 seria true
+    const v = ruleValue(r, inputs);
+    if (v === null || v === undefined) continue;
+    const hit = r.op === ">=" ? v >= r.value : v <= r.value;
+    if (!hit) continue;
+
+    const group = (r.agg ? windowKey(r) : r.input) + r.op;
+    const cur = best.get(group);
+    if (!cur || SEVERITY_RANK[r.severity] > SEVERITY_RANK[cur.severity]) best.set(group, r);
+  }
+
+  const rules = [...best.values()].map(r => ({
+    id: r.id,
+    severity: r.severity,
+    why: `${ruleLabel(r)}${r.op}${r.value}`
+  }));
+
+  let decision = "NORMAL";
+  if (rules.some(r => r.severity === "CRITICAL")) decision = "CRITICAL";
+  else if (rules.some(r => r.severity === "ALERT")) decision = "ALERT";
+
+  rules.sort((a,b) => a.id.localeCompare(b.id));
+  return {
+    decision,
+    applied_rule: {
+      version: ruleset.version,
+      ruleset_id: ruleset.id,
+      ruleset_hash: ruleset.content_hash,
+      risk_profile: tuning.risk_profile || null,
+      rule_overrides: tuning.rule_overrides || null,
+      thresholds,
+      inputs,
+      rules
+    }
+  };
+}
+
+// Previsão: aplica as mesmas regras a cada janela e marca quando cada severidade aparece primeiro
+function decideForecast(windows, ruleset, tuning = {}) {
+  const evaluated = windows.map(w => {
+    const pack = decideRisk(ruleInputs(w), ruleset, tuning);
+    return {
+      at: w.at,
+      hours: w.hours,
+      inputs: pack.applied_rule.inputs,
+      decision: pack.decision,
+      rules: pack.applied_rule.rules.map(r => r.id)
+    };
+  });
+
+  let decision = "NORMAL";
+  for (const w of evaluated) if (SEVERITY_RANK[w.decision] > SEVERITY_RANK[decision]) decision = w.decision;
+
+  const earliest = {};
+  for (const sev of ["ALERT", "CRITICAL"]) {
+    const hit = evaluated.find(w => SEVERITY_RANK[w.decision] >= SEVERITY_RANK[sev]);
+    earliest[sev] = hit ? { at: hit.at, rules: hit.rules } : null;
+  }
+
+  return {
+    decision,
+    earliest,
+    windows: evaluated,
+    applied_rule: {
+      version: ruleset.version,
+      ruleset_id: ruleset.id,
+      ruleset_hash: ruleset.content_hash,
+      risk_profile: tuning.risk_profile || null,
+      rule_overrides: tuning.rule_overrides || null,
+      thresholds: effectiveRules(ruleset, tuning)
+    }
+  };
+}
+
+module.exports = {
+  BUILTIN_RULESET,
+  RISK_PROFILES,
+  SEVERITY_RANK,
+  rulesHash,
+  historyHours,
+  ruleInputs,
+  effectiveRules,
+  decideRisk,
+  decideForecast
+};
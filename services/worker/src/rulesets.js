@@ -0,0 +1,31 @@
+const { BUILTIN_RULESET, rulesHash } = require("./rules");
+
+// Leitura de rulesets do banco. O hash gravado na criação tem que bater com o conteúdo atual;
+// senão a regra foi adulterada.
+function checked(rs) {
+  if (rulesHash(rs.rules) !== rs.content_hash) throw new Error(`ruleset ${rs.id} content_hash mismatch`);
+  return rs;
+}
+
+async function loadActiveRuleset(db) {
+  const q = await db.query("select id, version, rules, content_hash from rulesets where status='ACTIVE' limit 1");
+  if (q.rowCount === 0) return BUILTIN_RULESET;
+  return checked(q.rows[0]);
+}
+
+// ruleset_id null (ledger) = embutido
+async function loadRulesetById(db, id) {
+  if (id === null) return BUILTIN_RULESET;
+  const q = await db.query("select id, version, rules, content_hash from rulesets where id=$1", [id]);
+  if (q.rowCount === 0) throw new Error(`ruleset ${id} not found`);
+  return checked(q.rows[0]);
+}
+
+async function loadRulesetByVersion(db, version) {
+  if (version === BUILTIN_RULESET.version) return BUILTIN_RULESET;
+  const q = await db.query("select id, version, rules, content_hash from rulesets where version=$1", [version]);
+  if (q.rowCount === 0) throw new Error(`ruleset version ${version} not found`);
+  return checked(q.rows[0]);
+}
+
+module.exports = { loadActiveRuleset, loadRulesetById, loadRulesetByVersion };
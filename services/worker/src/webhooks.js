@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+const { outboundUrlError } = require("n29-climarisk-ledger");
+
+// Webhooks de transição de decisão: o fan-out grava uma entrega por assinatura na mesma transação da
+// decisão (outbox) e, depois do commit, enfileira na fila dedicada; o envio é assinado com HMAC-SHA256
+// e repetido com backoff exponencial. Entrega gravada e não enfileirada (processo caiu, Redis fora entre
+// o commit e o add) é recolhida pelo job periódico flush-webhook-outbox.
+
+const WEBHOOK_JOB_OPTS = {
+  attempts: 6,
+  backoff: { type: "exponential", delay: 5000 },
+  removeOnComplete: true,
+  removeOnFail: 1000
+};
+
+const OUTBOX_BATCH = 500;
+
+// Dentro da transação da decisão; devolve os ids das entregas gravadas
+async function recordTransition(tx, { location, from, to, ledger_hash, applied_rule }) {
+  const subs = await tx.query(
+    `select id from subscriptions
+      where is_active=true
+        and (location_id is null or location_id=$1)
+        and $2 = any(severities)`,
+    [location.id, to]
+  );
+
+  const ids = [];
+  for (const sub of subs.rows) {
+    const body = {
+      type: "decision.transition",
+      location,
+      from,
+      to,
+      rules: applied_rule.rules,
+      ruleset: { version: applied_rule.version, hash: applied_rule.ruleset_hash },
+      ledger_hash,
+      occurred_at: new Date().toISOString()
+    };
+
+    const d = await tx.query(
+      `insert into webhook_deliveries(subscription_id, location_id, ledger_hash, from_decision, to_decision, body)
+       values($1,$2,$3,$4,$5,$6) returning id`,
+      [sub.id, location.id, ledger_hash, from, to, body]
+    );
+    ids.push(String(d.rows[0].id));
+  }
+  return ids;
+}
+
+// jobId fixo por entrega: o passo pós-commit e o flush do outbox não geram dois jobs da mesma entrega
+async function enqueueDeliveries({ pool, queue }, ids) {
+  for (const id of ids) {
+    await queue.add("deliver-webhook", { deliveryId: id }, { ...WEBHOOK_JOB_OPTS, jobId: `delivery-${id}` });
+    await pool.query("update webhook_deliveries set enqueued_at=now() where id=$1 and enqueued_at is null", [id]);
+  }
+  return ids.length;
+}
+
+async function flushWebhookOutbox({ pool, queue }) {
+  const q = await pool.query(
+    "select id from webhook_deliveries where status='PENDING' and enqueued_at is null order by id limit $1",
+    [OUTBOX_BATCH]
+  );
+  const enqueued = await enqueueDeliveries({ pool, queue }, q.rows.map(r => String(r.id)));
+  return { ok: true, enqueued };
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`, "utf8").digest("hex");
+}
+
+async function deliverWebhook({ pool, timeoutMs = 10000, allowedHosts }, job) {
+  const { deliveryId } = job.data || {};
+  if (!deliveryId) throw new Error("missing deliveryId");
+
+  const q = await pool.query(
+    `select d.id, d.body, d.status, s.url, s.secret, s.is_active
+       from webhook_deliveries d
+       join subscriptions s on s.id = d.subscription_id
+      where d.id=$1`,
+    [deliveryId]
+  );
+  if (q.rowCount === 0) throw new Error("delivery not found");
+
+  const d = q.rows[0];
+  if (d.status !== "PENDING") return { ok: true, skipped: d.status };
+  if (!d.is_active) {
+    await pool.query("update webhook_deliveries set status='FAILED', last_error='subscription disabled' where id=$1", [d.id]);
+    return { ok: false, skipped: "subscription disabled" };
+  }
+
+  const body = JSON.stringify({ delivery_id: String(d.id), ...d.body });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  let status = null;
+  let error = null;
+  try {
+    // o DNS pode ter mudado desde o cadastro: confere de novo o destino antes de cada envio
+    const urlError = await outboundUrlError(d.url, { allowedHosts });
+    if (urlError) throw new Error(urlError);
+
+    const r = await fetch(d.url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-climarisk-delivery": String(d.id),
+        "x-climarisk-timestamp": timestamp,
+        "x-climarisk-signature": "sha256=" + sign(d.secret, timestamp, body)
+      },
+      body,
+      // redirecionamento não é seguido: levaria o POST a um destino que não passou pela checagem
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    status = r.status;
+    if (!r.ok) error = `http_${r.status}`;
+  } catch (e) {
+    error = String(e?.message || e);
+  }
+
+  await pool.query(
+    `update webhook_deliveries
+        set attempts=attempts+1, last_status_code=$2, last_error=$3,
+            status=case when $3::text is null then 'DELIVERED' else status end,
+            delivered_at=case when $3::text is null then now() else delivered_at end
+      where id=$1`,
+    [d.id, status, error]
+  );
+
+  if (error) throw new Error(error);
+  return { ok: true, status };
+}
+
+// Chamado quando o BullMQ desiste (tentativas esgotadas)
+async function markDeliveryFailed({ pool }, job, err) {
+  const { deliveryId } = job?.data || {};
+  if (!deliveryId) return;
+  if (job.attemptsMade < (job.opts?.attempts || 1)) return;
+  await pool.query(
+    "update webhook_deliveries set status='FAILED', last_error=$2 where id=$1 and status='PENDING'",
+    [deliveryId, String(err?.message || err)]
+  );
+}
+
+module.exports = { recordTransition, enqueueDeliveries, flushWebhookOutbox, deliverWebhook, markDeliveryFailed };
@@ -0,0 +1,189 @@
+// What-if: reexecuta decideRisk sobre os inputs gravados em cada DECISION_WEATHER_RISK
+// com outro ruleset e lista toda decisão histórica que mudaria. Só leitura: a conexão é read-only.
+//   DATABASE_URL=... node src/whatif.js [--ruleset active|recorded|<versão>] [--ruleset-file regras.json]
+//                                       [--location <uuid>] [--from ISO] [--to ISO]
+// recorded = o ruleset gravado em cada evento (prova de que a decisão registrada é reproduzível).
+// Janelas (sum/sustained) gravadas no evento são reaproveitadas; as que o ruleset candidato exige
+// e o evento não tem são reconstruídas do histórico do próprio ledger.
+const fs = require("fs");
+const { Pool } = require("pg");
+const { z } = require("zod");
+const { createRulesetSchemas } = require("n29-climarisk-ledger");
+const { rulesHash, historyHours, ruleInputs, decideRisk } = require("./rules");
+const { loadActiveRuleset, loadRulesetById, loadRulesetByVersion } = require("./rulesets");
+
+const DATABASE_URL = process.env.DATABASE_URL;
+const BATCH_SIZE = 1000;
+const MAX_CHANGES = 500;
+const HOUR_MS = 3600 * 1000;
+
+function parseArgs(argv) {
+  const args = { ruleset: "active", rulesetFile: null, location: null, from: null, to: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--ruleset") args.ruleset = argv[++i];
+    else if (argv[i] === "--ruleset-file") args.rulesetFile = argv[++i];
+    else if (argv[i] === "--location") args.location = argv[++i];
+    else if (argv[i] === "--from") args.from = new Date(argv[++i]).toISOString();
+    else if (argv[i] === "--to") args.to = new Date(argv[++i]).toISOString();
+    else throw new Error(`unknown argument ${argv[i]}`);
+  }
+  return args;
+}
+
+const { RuleList } = createRulesetSchemas(z);
+
+// Candidato fora do banco: { "rules": [...] } no mesmo formato (e com o mesmo schema) de POST /api/cmd/rulesets
+function loadRulesetFile(path) {
+  const doc = JSON.parse(fs.readFileSync(path, "utf8"));
+  const parsed = RuleList.safeParse(Array.isArray(doc) ? doc : doc?.rules);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(i => `${["rules", ...i.path].join(".")}: ${i.message}`);
+    throw new Error(`invalid ruleset file: ${issues.join("; ")}`);
+  }
+  const rules = parsed.data;
+  return { id: null, version: "candidate", rules, content_hash: rulesHash(rules) };
+}
+
+async function resolveCandidate(db, args) {
+  if (args.rulesetFile) return { source: "file", ruleset: loadRulesetFile(args.rulesetFile) };
+  if (args.ruleset === "active") return { source: "active", ruleset: await loadActiveRuleset(db) };
+  if (args.ruleset === "recorded") return { source: "recorded", ruleset: null };
+  if (/^\d+$/.test(args.ruleset)) return { source: "version", ruleset: await loadRulesetByVersion(db, Number(args.ruleset)) };
+  throw new Error(`invalid --ruleset ${args.ruleset}`);
+}
+
+async function* readDecisions(db, { location, since, to }) {
+  let cursor = "0";
+  for (;;) {
+    const q = await db.query(
+      `select id, event_hash, created_at,
+              payload->'location' as location,
+              payload->>'decision' as decision,
+              payload->'applied_rule' as applied_rule
+         from ledger_events
+        where event_type='DECISION_WEATHER_RISK'
+          and id > $1
+          and ($2::text is null or payload->'location'->>'id' = $2)
+          and ($3::timestamptz is null or created_at >= $3)
+          and ($4::timestamptz is null or created_at <= $4)
+        order by id asc
+        limit $5`,
+      [cursor, location, since, to, BATCH_SIZE]
+    );
+    if (q.rowCount === 0) return;
+    for (const row of q.rows) yield row;
+    cursor = String(q.rows[q.rowCount - 1].id);
+  }
+}
+
+async function whatIf(db, args) {
+  const started = Date.now();
+  const candidate = await resolveCandidate(db, args);
+
+  // histórico anterior a --from ainda alimenta as janelas do primeiro evento avaliado
+  const lookback = candidate.ruleset ? historyHours(candidate.ruleset) : 0;
+  const since = args.from ? new Date(Date.parse(args.from) - lookback * HOUR_MS).toISOString() : null;
+
+  const recordedCache = new Map();
+  const history = new Map(); // location_id -> [{ at, tempC, windMs, rain1hMm }]
+  const changes = [];
+  const byTransition = {};
+  let evaluated = 0;
+  let changed = 0;
+  let hashMismatches = 0;
+  let legacyUnhashed = 0;
+
+  for await (const e of readDecisions(db, { location: args.location, since, to: args.to })) {
+    const at = new Date(e.created_at).toISOString();
+    const rec = e.applied_rule;
+    const obs = { tempC: rec.inputs.tempC, windMs: rec.inputs.windMs, rain1hMm: rec.inputs.rain1hMm };
+    const locHistory = history.get(e.location.id) || [];
+
+    if (!args.from || at >= args.from) {
+      let ruleset = candidate.ruleset;
+      if (!ruleset) {
+        const key = rec.ruleset_id ?? "builtin";
+        if (!recordedCache.has(key)) recordedCache.set(key, await loadRulesetById(db, rec.ruleset_id ?? null));
+        ruleset = recordedCache.get(key);
+        // eventos anteriores ao versionamento de rulesets não gravam ruleset_hash: não há o que comparar
+        if (!rec.ruleset_hash) legacyUnhashed++;
+        else if (ruleset.content_hash !== rec.ruleset_hash) hashMismatches++;
+      }
+
+      const rebuilt = ruleInputs(obs, { ruleset, history: locHistory, now: at });
+      const inputs = { ...obs };
+      const windowsRebuilt = [];
+      if (rebuilt.windows) {
+        inputs.windows = {};
+        for (const [key, w] of Object.entries(rebuilt.windows)) {
+          if (rec.inputs.windows?.[key]) inputs.windows[key] = rec.inputs.windows[key];
+          else { inputs.windows[key] = w; windowsRebuilt.push(key); }
+        }
+      }
+
+      const pack = decideRisk(inputs, ruleset, { risk_profile: rec.risk_profile, rule_overrides: rec.rule_overrides });
+      evaluated++;
+
+      if (pack.decision !== e.decision) {
+        changed++;
+        const t = `${e.decision}->${pack.decision}`;
+        byTransition[t] = (byTransition[t] || 0) + 1;
+        if (changes.length < MAX_CHANGES) {
+          changes.push({
+            event_id: e.id,
+            event_hash: e.event_hash,
+            at,
+            location: e.location,
+            recorded: { decision: e.decision, ruleset_version: rec.version, rules: rec.rules.map(r => r.why) },
+            replayed: { decision: pack.decision, ruleset_version: ruleset.version, rules: pack.applied_rule.rules.map(r => r.why) },
+            windows_rebuilt: windowsRebuilt
+          });
+        }
+      }
+    }
+
+    locHistory.push({ at, ...obs });
+    const cutoff = Date.parse(at) - lookback * HOUR_MS;
+    while (locHistory.length && Date.parse(locHistory[0].at) < cutoff) locHistory.shift();
+    history.set(e.location.id, locHistory);
+  }
+
+  const rs = candidate.ruleset;
+  return {
+    ok: true,
+    ruleset: rs ? { source: candidate.source, id: rs.id, version: rs.version, content_hash: rs.content_hash } : { source: "recorded" },
+    filters: { location: args.location, from: args.from, to: args.to },
+    evaluated,
+    changed,
+    unchanged: evaluated - changed,
+    by_transition: byTransition,
+    recorded_hash_mismatches: candidate.source === "recorded" ? hashMismatches : undefined,
+    legacy_unhashed: candidate.source === "recorded" ? legacyUnhashed : undefined,
+    changes,
+    changes_truncated: changed > changes.length,
+    duration_ms: Date.now() - started
+  };
+}
+
+async function main() {
+  if (!DATABASE_URL) throw new Error("DATABASE_URL missing");
+  const args = parseArgs(process.argv.slice(2));
+
+  // nenhuma escrita possível: nem ledger nem projeções
+  const pool = new Pool({ connectionString: DATABASE_URL, options: "-c default_transaction_read_only=on" });
+  try {
+    const result = await whatIf(pool, args);
+    console.log(JSON.stringify(result, null, 2));
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error("[whatif] failed:", e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { whatIf, loadRulesetFile };
@@ -1,160 +1,322 @@
 const fs = require("fs");
-const crypto = require("crypto");
 const { Pool } = require("pg");
-const { Worker } = require("bullmq");
-const promClient = require("prom-client");
-
-function sha256Hex(s) {
-  return crypto.createHash("sha256").update(s, "utf8").digest("hex");
-}
-
-function stableStringify(v) {
-  if (v === null || v === undefined) return "null";
-  if (typeof v === "number") return Number.isFinite(v) ? String(v) : "null";
-  if (typeof v === "boolean") return v ? "true" : "false";
-  if (typeof v === "string") return JSON.stringify(v);
-  if (Array.isArray(v)) return "[" + v.map(stableStringify).join(",") + "]";
-  if (typeof v === "object") {
-    if (typeof v.toJSON === "function") return stableStringify(v.toJSON());
-    const keys = Object.keys(v).sort();
-    return "{" + keys.map(k => JSON.stringify(k) + ":" + stableStringify(v[k])).join(",") + "}";
-  }
-  return "null";
-}
-
-function readKeyFromFile(path) {
-  const raw = fs.readFileSync(path, "utf8").trim();
-  if (!raw) throw new Error("OWM api key file empty");
-  return raw;
-}
-
-// Regras explícitas
-function decideRisk({ tempC, windMs, rain1hMm }) {
-  const rules = [];
-
-  if (rain1hMm >= 20) rules.push({ id: "RAIN_20MM_1H", severity: "CRITICAL", why: "rain_1h_mm>=20" });
-  else if (rain1hMm >= 8) rules.push({ id: "RAIN_8MM_1H", severity: "ALERT", why: "rain_1h_mm>=8" });
-
-  if (windMs >= 20) rules.push({ id: "WIND_20MS", severity: "CRITICAL", why: "wind_ms>=20" });
-  else if (windMs >= 12) rules.push({ id: "WIND_12MS", severity: "ALERT", why: "wind_ms>=12" });
-
-  if (tempC >= 38) rules.push({ id: "TEMP_38C", severity: "CRITICAL", why: "temp_c>=38" });
-  else if (tempC >= 33) rules.push({ id: "TEMP_33C", severity: "ALERT", why: "temp_c>=33" });
-  if (tempC <= -3) rules.push({ id: "TEMP_-3C", severity: "CRITICAL", why: "temp_c<=-3" });
-  else if (tempC <= 2) rules.push({ id: "TEMP_2C", severity: "ALERT", why: "temp_c<=2" });
-
-  let decision = "NORMAL";
-  if (rules.some(r => r.severity === "CRITICAL")) decision = "CRITICAL";
-  else if (rules.some(r => r.severity === "ALERT")) decision = "ALERT";
-
-  rules.sort((a,b) => a.id.localeCompare(b.id));
-  return { decision, applied_rule: { version: 1, inputs: { tempC, windMs, rain1hMm }, rules } };
-}
-
-async function fetchOpenWeather({ apiKey, lat, lon }) {
-  const url = `https://api.openweathermap.org/data/2.5/weather?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}&appid=${encodeURIComponent(apiKey)}&units=metric`;
-  const r = await fetch(url, { method: "GET" });
-  const text = await r.text();
-  let json;
-  try { json = JSON.parse(text); } catch { json = { raw: text }; }
-  if (!r.ok) {
-    const msg = (json && json.message) ? json.message : `owm_http_${r.status}`;
-    throw new Error(msg);
-  }
-  return json;
-}
+const { Queue, Worker, QueueEventsProducer } = require("bullmq");
+const ledger = require("n29-climarisk-ledger");
+const { SEVERITY_RANK, historyHours, ruleInputs, decideRisk, decideForecast } = require("./rules");
+const { recordTransition, enqueueDeliveries, flushWebhookOutbox, deliverWebhook, markDeliveryFailed } = require("./webhooks");
+const { applyProjections, applyForecastProjection } = require("./projections");
+const { recomputeArea, recomputeAreasAt } = require("./areas");
+const { loadActiveRuleset } = require("./rulesets");
+const { createWorkerMetrics } = require("./metrics");
+const { createProviders, observeChain, forecastChain, medianObservation, observationSpread } = require("./providers");
 
 const DATABASE_URL = process.env.DATABASE_URL;
 const REDIS_URL = process.env.REDIS_URL;
 const QUEUE_NAME = process.env.QUEUE_NAME || "climarisk";
 const OWM_API_KEY_FILE = process.env.OWM_API_KEY_FILE || "/run/secrets/owm_api_key";
+const WEATHER_PROVIDER = process.env.WEATHER_PROVIDER || "openweathermap";
+const WEATHER_FALLBACK = (process.env.WEATHER_FALLBACK || "").split(",").map(s => s.trim()).filter(Boolean);
+const WEATHER_CONSENSUS = process.env.WEATHER_CONSENSUS || "off";
+const WEATHER_FIXTURE = process.env.WEATHER_FIXTURE || "";
+// tempo máximo de cada chamada a um provider meteorológico
+const PROVIDER_TIMEOUT_MS = process.env.PROVIDER_TIMEOUT_MS ? Number(process.env.PROVIDER_TIMEOUT_MS) : 10000;
+const FORECAST_HORIZON_HOURS = process.env.FORECAST_HORIZON_HOURS ? Number(process.env.FORECAST_HORIZON_HOURS) : 48;
+const WEBHOOK_QUEUE_NAME = process.env.WEBHOOK_QUEUE_NAME || `${QUEUE_NAME}-webhooks`;
+// intervalo do job que enfileira entregas de webhook gravadas e não enfileiradas (outbox)
+const WEBHOOK_OUTBOX_SEC = process.env.WEBHOOK_OUTBOX_SEC ? Number(process.env.WEBHOOK_OUTBOX_SEC) : 60;
+// receptores de webhook na rede interna aceitos de propósito; mesma lista da API
+const WEBHOOK_ALLOWED_HOSTS = ledger.parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
+const LIVE_QUEUE_NAME = process.env.LIVE_QUEUE_NAME || `${QUEUE_NAME}-live`;
 const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+const SCHEDULER_TICK_SEC = process.env.SCHEDULER_TICK_SEC ? Number(process.env.SCHEDULER_TICK_SEC) : 60;
+// teto de locations enfileirados por tick; o excedente (os mais recentes) fica para os próximos ticks
+const SCHEDULER_MAX_ENQUEUE = process.env.SCHEDULER_MAX_ENQUEUE ? Number(process.env.SCHEDULER_MAX_ENQUEUE) : 200;
+const LEDGER_SIGNING_KEY_FILE = process.env.LEDGER_SIGNING_KEY_FILE || "/run/secrets/ledger_signing_key";
+const ANCHOR_TARGET = process.env.ANCHOR_TARGET || "";
+// política de retry da fila principal; mesmos defaults da API
+const JOB_ATTEMPTS = process.env.JOB_ATTEMPTS ? Number(process.env.JOB_ATTEMPTS) : 3;
+const JOB_BACKOFF_MS = process.env.JOB_BACKOFF_MS ? Number(process.env.JOB_BACKOFF_MS) : 5000;
+const ANCHOR_INTERVAL_SEC = process.env.ANCHOR_INTERVAL_SEC ? Number(process.env.ANCHOR_INTERVAL_SEC) : 3600;
+const METRICS_PORT = process.env.METRICS_PORT ? Number(process.env.METRICS_PORT) : 9100;
 
 if (!DATABASE_URL) throw new Error("DATABASE_URL missing");
 if (!REDIS_URL) throw new Error("REDIS_URL missing");
 
 const pool = new Pool({ connectionString: DATABASE_URL });
-
-promClient.collectDefaultMetrics();
-const jobsProcessed = new promClient.Counter({
-  name: "jobs_processed_total",
-  help: "Total processed jobs",
-  labelNames: ["name", "status"]
+const metrics = createWorkerMetrics({ pool, log });
+const queue = new Queue(QUEUE_NAME, {
+  connection: { url: REDIS_URL },
+  defaultJobOptions: { attempts: JOB_ATTEMPTS, backoff: { type: "exponential", delay: JOB_BACKOFF_MS } }
 });
+const webhookQueue = new Queue(WEBHOOK_QUEUE_NAME, { connection: { url: REDIS_URL } });
+const live = ledger.createLivePublisher({ producer: new QueueEventsProducer(LIVE_QUEUE_NAME, { connection: { url: REDIS_URL } }), log });
+const signingKey = ledger.loadSigningKey(LEDGER_SIGNING_KEY_FILE);
+const anchorTarget = ledger.createAnchorTarget(ANCHOR_TARGET, {
+  endpoint: process.env.S3_ENDPOINT,
+  region: process.env.S3_REGION,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY_FILE ? fs.readFileSync(process.env.S3_SECRET_ACCESS_KEY_FILE, "utf8").trim() : undefined
+});
+// cada chamada de provider alimenta os histogramas de latência/erro
+const providers = new Map(
+  [...createProviders({ owmApiKeyFile: OWM_API_KEY_FILE, fixtureSource: WEATHER_FIXTURE, timeoutMs: PROVIDER_TIMEOUT_MS })].map(([id, p]) => [id, metrics.instrumentProvider(p)])
+);
+if (!providers.has(WEATHER_PROVIDER)) throw new Error(`unknown WEATHER_PROVIDER ${WEATHER_PROVIDER}`);
+for (const id of WEATHER_FALLBACK) if (!providers.has(id)) throw new Error(`unknown WEATHER_FALLBACK provider ${id}`);
+if (!["off", "worst", "median"].includes(WEATHER_CONSENSUS)) throw new Error(`invalid WEATHER_CONSENSUS ${WEATHER_CONSENSUS}`);
 
 function log(...args) {
   if (LOG_LEVEL !== "silent") console.log("[worker]", ...args);
 }
 
-async function appendLedgerEvent(eventType, payloadObj) {
-  const last = await pool.query("select event_hash from ledger_events order by id desc limit 1");
-  const prevHash = last.rows[0].event_hash;
-
-  const canonical = prevHash + "\n" + stableStringify({ event_type: eventType, payload: payloadObj });
-  const eventHash = sha256Hex(canonical);
+// eventos gravados em cada transação; só são anunciados ao vivo depois do commit
+const appendedIn = new WeakMap();
+
+async function withTransaction(fn) {
+  const appended = [];
+  const result = await ledger.withTransaction(pool, (tx) => {
+    appendedIn.set(tx, appended);
+    return fn(tx);
+  });
+  for (const a of appended) live.ledgerAppended(a.eventType, a.payload, a.ev);
+  return result;
+}
 
-  await pool.query(
-    "insert into ledger_events(event_type, payload, prev_hash, event_hash) values($1,$2,$3,$4)",
-    [eventType, payloadObj, prevHash, eventHash]
-  );
+// Todo evento gravado pelo worker sai assinado com a chave do ledger
+async function appendLedgerEvent(tx, eventType, payloadObj) {
+  const end = metrics.ledgerAppend.startTimer({ event_type: eventType });
+  const ev = await ledger.appendLedgerEvent(tx, eventType, payloadObj, { signingKey });
+  end();
+  appendedIn.get(tx)?.push({ eventType, payload: payloadObj, ev });
+  return ev;
+}
 
-  return { eventHash };
+// Job que já estava em execução quando o location foi desativado: descarta sem gravar decisão.
+// FOR SHARE serializa com o update da desativação.
+async function stillActive(tx, locationId) {
+  const q = await tx.query("select is_active from locations where id=$1 for share", [locationId]);
+  return q.rowCount > 0 && q.rows[0].is_active;
 }
 
-async function applyProjections({ locationId, decision, applied_rule, raw_weather, ledger_hash }) {
-  await pool.query(
-    `insert into location_state(location_id, updated_at, decision, applied_rule, raw_weather, ledger_hash)
-     values($1, now(), $2, $3, $4, $5)
-     on conflict (location_id) do update
-       set updated_at=excluded.updated_at,
-           decision=excluded.decision,
-           applied_rule=excluded.applied_rule,
-           raw_weather=excluded.raw_weather,
-           ledger_hash=excluded.ledger_hash`,
-    [locationId, decision, applied_rule, raw_weather, ledger_hash]
+// Histórico de observações do location (inputs das decisões anteriores) para as regras de janela
+async function loadHistory(locationId, hours) {
+  if (!hours) return [];
+  const q = await pool.query(
+    `select created_at, applied_rule->'inputs' as inputs
+       from weather_snapshots
+      where location_id=$1 and created_at > now() - make_interval(hours => $2)
+      order by created_at asc`,
+    [locationId, hours]
   );
+  return q.rows.map(r => ({
+    at: r.created_at.toISOString(),
+    tempC: r.inputs?.tempC ?? null,
+    windMs: r.inputs?.windMs ?? null,
+    rain1hMm: r.inputs?.rain1hMm ?? null
+  }));
+}
 
-  await pool.query(
-    `insert into weather_snapshots(location_id, decision, applied_rule, raw_weather, ledger_hash)
-     values($1,$2,$3,$4,$5)`,
-    [locationId, decision, applied_rule, raw_weather, ledger_hash]
+// Reavaliação agendada: um job repetível varre os locations ativos e enfileira os que venceram o intervalo,
+// da decisão mais antiga (ou inexistente) para a mais recente, no máximo SCHEDULER_MAX_ENQUEUE por tick
+async function scheduleTick() {
+  const q = await pool.query(
+    `select l.id, count(*) over ()::int as due
+       from locations l
+       cross join scheduler_settings c
+       left join location_state s on s.location_id = l.id
+      where l.is_active=true
+        and c.enabled=true
+        and (s.updated_at is null
+             or s.updated_at < now() - make_interval(secs => coalesce(l.refresh_interval_sec, c.default_interval_sec)))
+      order by s.updated_at asc nulls first, l.id
+      limit $1`,
+    [SCHEDULER_MAX_ENQUEUE]
   );
+  const due = q.rows[0]?.due ?? 0;
+  if (due > q.rowCount) log("scheduler:", due, "locations due,", q.rowCount, "enqueued this tick");
+
+  // deduplicação com o mesmo id da API: location ainda com job pendente não ganha outro a cada tick
+  for (const r of q.rows) {
+    for (const name of ["refresh-location", "forecast-location"]) {
+      const job = await queue.add(name, { locationId: r.id, trigger: "schedule" }, {
+        removeOnComplete: true,
+        removeOnFail: 100,
+        deduplication: { id: `${name}:${r.id}` }
+      });
+      live.job(job, "queued");
+    }
+  }
+
+  return { ok: true, enqueued: q.rowCount, due };
 }
 
-const worker = new Worker(
-  QUEUE_NAME,
-  async (job) => {
-    if (job.name !== "refresh-location") return;
+// Âncora: raiz de Merkle dos eventos desde a última âncora, assinada e exportada primeiro para o
+// destino externo (append-only); só depois vira evento LEDGER_ANCHOR + linha em ledger_anchors.
+// A âncora calculada fica em ledger_anchor_pending antes da exportação: se a exportação ou a transação
+// falhar, a próxima execução (retry ou próximo ciclo) reusa a mesma faixa, em vez de recalcular com os
+// eventos que chegaram nesse meio-tempo, e o destino aceita a cópia idêntica.
+async function anchorLedger() {
+  let anchor = await pendingAnchor();
+  if (!anchor) {
+    const last = await pool.query("select coalesce(max(to_id), 0) as to_id from ledger_anchors");
+    const q = await pool.query(
+      "select id, event_type, event_hash from ledger_events where id > $1 order by id asc",
+      [last.rows[0].to_id]
+    );
+    // nada além da própria âncora anterior: ledger parado, não gera evento novo
+    if (q.rows.every(r => r.event_type === "LEDGER_ANCHOR")) return { ok: true, anchored: false };
+
+    anchor = {
+      from_id: String(q.rows[0].id),
+      to_id: String(q.rows[q.rowCount - 1].id),
+      leaf_count: q.rowCount,
+      merkle_root: ledger.merkleRoot(q.rows.map(r => r.event_hash)),
+      key_id: signingKey.keyId
+    };
+    anchor.signature = ledger.signAnchor(signingKey, anchor);
+    // outro worker pode ter fixado uma faixa antes: vale a que ficou gravada
+    await pool.query("insert into ledger_anchor_pending(anchor) values($1) on conflict do nothing", [anchor]);
+    anchor = await pendingAnchor();
+  }
 
-    const apiKey = readKeyFromFile(OWM_API_KEY_FILE);
+  await anchorTarget.put(anchor);
 
-    const { locationId } = job.data || {};
-    if (!locationId) throw new Error("missing locationId");
+  const eventHash = await withTransaction(async (tx) => {
+    const { eventHash } = await appendLedgerEvent(tx, "LEDGER_ANCHOR", { anchor, target: anchorTarget.describe() });
+    await tx.query(
+      `insert into ledger_anchors(from_id, to_id, leaf_count, merkle_root, key_id, signature, target, ledger_hash)
+       values($1,$2,$3,$4,$5,$6,$7,$8)`,
+      [anchor.from_id, anchor.to_id, anchor.leaf_count, anchor.merkle_root, anchor.key_id, anchor.signature, anchorTarget.describe(), eventHash]
+    );
+    await tx.query("delete from ledger_anchor_pending");
+    return eventHash;
+  });
 
-    const lq = await pool.query("select id, name, lat, lon from locations where id=$1 and is_active=true", [locationId]);
-    if (lq.rowCount === 0) throw new Error("location not found / inactive");
+  return { ok: true, anchored: true, to_id: anchor.to_id, merkle_root: anchor.merkle_root, ledger_hash: eventHash };
+}
 
-    const loc = lq.rows[0];
-    log("consume job", job.id, "location", loc.id, loc.name);
+async function pendingAnchor() {
+  const q = await pool.query("select anchor from ledger_anchor_pending");
+  return q.rows[0]?.anchor ?? null;
+}
 
-    const raw = await fetchOpenWeather({ apiKey, lat: loc.lat, lon: loc.lon });
+// Jobs repetíveis: remove registros antigos com outra cadência (ou desativados) antes de registrar
+async function ensureRepeatable(name, everySec) {
+  const every = everySec * 1000;
+  for (const r of await queue.getRepeatableJobs()) {
+    if (r.name === name && Number(r.every) !== every) await queue.removeRepeatableByKey(r.key);
+  }
+  if (everySec > 0) await queue.add(name, {}, { repeat: { every }, removeOnComplete: true, removeOnFail: 100 });
+}
 
-    const tempC = raw?.main?.temp ?? null;
-    const windMs = raw?.wind?.speed ?? 0;
-    const rain1hMm = raw?.rain?.["1h"] ?? 0;
+async function ensureScheduler() {
+  await ensureRepeatable("schedule-tick", SCHEDULER_TICK_SEC);
+  await ensureRepeatable("flush-webhook-outbox", WEBHOOK_OUTBOX_SEC);
+  // sem ANCHOR_TARGET não há onde publicar as âncoras
+  await ensureRepeatable("anchor-ledger", anchorTarget ? ANCHOR_INTERVAL_SEC : 0);
+}
 
-    const pack = decideRisk({ tempC, windMs, rain1hMm });
+// Cadeia do location: provider próprio (ou o padrão) seguido do fallback global, sem repetição
+function providerChain(loc) {
+  const primary = loc.weather_provider || WEATHER_PROVIDER;
+  if (!providers.has(primary)) throw new Error(`unknown weather_provider ${primary}`);
+  return [...new Set([primary, ...WEATHER_FALLBACK])].map(id => providers.get(id));
+}
 
-    const payload = {
-      location: { id: loc.id, name: loc.name, lat: loc.lat, lon: loc.lon },
-      decision: pack.decision,
-      applied_rule: pack.applied_rule,
-      raw_weather: raw
+// Combina as observações conforme WEATHER_CONSENSUS:
+// off = primeira que respondeu; worst = decisão mais severa; median = mediana por campo
+function resolveDecision(results, ruleset, loc, ctx) {
+  if (WEATHER_CONSENSUS === "median" && results.length > 1) {
+    const pack = decideRisk(ruleInputs(medianObservation(results), ctx), ruleset, loc);
+    return {
+      pack,
+      provider: { id: "consensus", version: "median", sources: results.map(r => r.provenance) },
+      raw: Object.fromEntries(results.map(r => [r.provenance.id, r.raw]))
     };
+  }
+
+  let chosen = null;
+  for (const r of results) {
+    const pack = decideRisk(ruleInputs(r.observation, ctx), ruleset, loc);
+    if (!chosen || SEVERITY_RANK[pack.decision] > SEVERITY_RANK[chosen.pack.decision]) chosen = { pack, r };
+  }
+  return { pack: chosen.pack, provider: chosen.r.provenance, raw: chosen.r.raw };
+}
 
-    const { eventHash } = await appendLedgerEvent("DECISION_WEATHER_RISK", payload);
+// Falha nesta tentativa esgota o job (attemptsMade só é incrementado depois que o processor falha).
+// DECISION_UNAVAILABLE vai para o ledger uma vez por job, não a cada retry com backoff.
+function isLastAttempt(job) {
+  return job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+}
 
-    await applyProjections({
+async function refreshLocation(job) {
+  const { locationId, trigger = "command" } = job.data || {};
+  if (!locationId) throw new Error("missing locationId");
+
+  const lq = await pool.query(
+    "select id, name, lat, lon, risk_profile, rule_overrides, weather_provider, is_active from locations where id=$1",
+    [locationId]
+  );
+  if (lq.rowCount === 0) throw new Error("location not found");
+  // desativado depois de enfileirado: job que o cancelamento da API não alcançou termina sem retry
+  if (!lq.rows[0].is_active) return { ok: true, skipped: "inactive" };
+
+  const loc = lq.rows[0];
+  const chain = providerChain(loc);
+  log("consume job", job.id, "location", loc.id, loc.name, "trigger", trigger, "providers", chain.map(p => p.id).join(","));
+
+  const location = { id: loc.id, name: loc.name, lat: loc.lat, lon: loc.lon };
+  const { results, attempts } = await observeChain(chain, loc, { all: WEATHER_CONSENSUS !== "off" });
+
+  // nenhuma fonte respondeu: a ausência de decisão também fica no ledger
+  if (!results.length) {
+    if (isLastAttempt(job)) {
+      await withTransaction((tx) =>
+        appendLedgerEvent(tx, "DECISION_UNAVAILABLE", {
+          location, trigger, scope: "current", reason: "no_provider_succeeded", attempts, job_attempts: job.attemptsMade + 1
+        })
+      );
+    }
+    throw new Error("no weather provider succeeded");
+  }
+
+  const ruleset = await loadActiveRuleset(pool);
+  const ctx = { ruleset, history: await loadHistory(loc.id, historyHours(ruleset)), now: new Date().toISOString() };
+  const { pack, provider, raw } = resolveDecision(results, ruleset, loc, ctx);
+
+  const sources = { mode: WEATHER_CONSENSUS, attempts };
+  if (results.length > 1) {
+    const decisions = results.map(r => ({
+      provider: r.provenance.id,
+      observation: r.observation,
+      decision: decideRisk(ruleInputs(r.observation, ctx), ruleset, loc).decision
+    }));
+    sources.disagreement = {
+      spread: observationSpread(results),
+      decisions,
+      decision_differs: new Set(decisions.map(d => d.decision)).size > 1
+    };
+  }
+
+  const payload = {
+    location,
+    trigger,
+    decision: pack.decision,
+    applied_rule: pack.applied_rule,
+    provider,
+    weather_sources: sources,
+    raw_weather: raw
+  };
+
+  const decided = await withTransaction(async (tx) => {
+    if (!(await stillActive(tx, loc.id))) return null;
+
+    // trava o estado do location: jobs concorrentes do mesmo location veem a transição em ordem
+    const prev = await tx.query("select decision from location_state where location_id=$1 for update", [loc.id]);
+
+    const { eventHash } = await appendLedgerEvent(tx, "DECISION_WEATHER_RISK", payload);
+
+    await applyProjections(tx, {
       locationId: loc.id,
       decision: pack.decision,
       applied_rule: pack.applied_rule,
@@ -162,19 +324,184 @@ const worker = new Worker(
       ledger_hash: eventHash
     });
 
-    return { ok: true, decision: pack.decision, ledger_hash: eventHash };
+    // membro mudou de decisão (inclusive a primeira): áreas que o contêm recalculam na mesma transação
+    const previousDecision = prev.rows[0]?.decision || null;
+    const areas = previousDecision === pack.decision
+      ? []
+      : await recomputeAreasAt(tx, { appendLedgerEvent }, loc, { type: "member_decision", location_id: loc.id, ledger_hash: eventHash });
+
+    // transição = decisão mudou; a primeira decisão só conta se já nasce fora de NORMAL.
+    // As entregas de webhook nascem nesta transação (outbox): commit da decisão = transição registrada
+    const changed = previousDecision ? previousDecision !== pack.decision : pack.decision !== "NORMAL";
+    const deliveries = changed
+      ? await recordTransition(tx, {
+        location,
+        from: previousDecision,
+        to: pack.decision,
+        ledger_hash: eventHash,
+        applied_rule: pack.applied_rule
+      })
+      : [];
+
+    return { eventHash, previousDecision, areas, deliveries };
+  });
+  if (!decided) return { ok: true, skipped: "inactive" };
+  const { eventHash, previousDecision, areas, deliveries } = decided;
+
+  metrics.decisions.inc({ scope: "current", decision: pack.decision });
+  if (previousDecision !== pack.decision) metrics.transitions.inc({ from: previousDecision || "none", to: pack.decision });
+
+  if (deliveries.length) {
+    log("transition", loc.id, previousDecision, "->", pack.decision, "webhooks", deliveries.length);
+    // falha aqui não refaz a decisão: o flush-webhook-outbox enfileira o que ficou para trás
+    await enqueueDeliveries({ pool, queue: webhookQueue }, deliveries)
+      .catch((e) => log("webhook enqueue failed, left to the outbox flush:", e.message));
+  }
+
+  return { ok: true, decision: pack.decision, ledger_hash: eventHash, areas };
+}
+
+// Área criada/alterada ou membro entrou/saiu (comandos da API)
+async function recomputeAreaJob(job) {
+  const { areaId, trigger = null } = job.data || {};
+  if (!areaId) throw new Error("missing areaId");
+  const r = await withTransaction((tx) => recomputeArea(tx, { appendLedgerEvent }, areaId, trigger));
+  return { ok: true, areas: r ? [r] : [] };
+}
+
+async function forecastLocation(job) {
+  const { locationId, trigger = "command" } = job.data || {};
+  if (!locationId) throw new Error("missing locationId");
+
+  const lq = await pool.query(
+    "select id, name, lat, lon, risk_profile, rule_overrides, weather_provider, is_active from locations where id=$1",
+    [locationId]
+  );
+  if (lq.rowCount === 0) throw new Error("location not found");
+  // desativado depois de enfileirado: job que o cancelamento da API não alcançou termina sem retry
+  if (!lq.rows[0].is_active) return { ok: true, skipped: "inactive" };
+
+  const loc = lq.rows[0];
+  const location = { id: loc.id, name: loc.name, lat: loc.lat, lon: loc.lon };
+  log("consume job", job.id, "forecast", loc.id, loc.name, "trigger", trigger);
+
+  const { result, attempts } = await forecastChain(providerChain(loc), loc, FORECAST_HORIZON_HOURS);
+  if (!result) {
+    if (isLastAttempt(job)) {
+      await withTransaction((tx) =>
+        appendLedgerEvent(tx, "DECISION_UNAVAILABLE", {
+          location, trigger, scope: "forecast", reason: "no_provider_succeeded", attempts, job_attempts: job.attemptsMade + 1
+        })
+      );
+    }
+    throw new Error("no forecast provider succeeded");
+  }
+
+  const ruleset = await loadActiveRuleset(pool);
+  const fc = decideForecast(result.windows, ruleset, loc);
+
+  const payload = {
+    location,
+    trigger,
+    horizon_hours: FORECAST_HORIZON_HOURS,
+    decision: fc.decision,
+    earliest: fc.earliest,
+    applied_rule: fc.applied_rule,
+    windows: fc.windows,
+    provider: result.provenance,
+    weather_sources: { attempts },
+    raw_forecast: result.raw
+  };
+
+  const ev = await withTransaction(async (tx) => {
+    if (!(await stillActive(tx, loc.id))) return null;
+
+    const ev = await appendLedgerEvent(tx, "DECISION_FORECAST_RISK", payload);
+
+    await applyForecastProjection(tx, {
+      locationId: loc.id,
+      horizon_hours: FORECAST_HORIZON_HOURS,
+      decision: fc.decision,
+      earliest: fc.earliest,
+      windows: fc.windows,
+      applied_rule: fc.applied_rule,
+      ledger_hash: ev.eventHash
+    });
+
+    return ev;
+  });
+  if (!ev) return { ok: true, skipped: "inactive" };
+
+  metrics.decisions.inc({ scope: "forecast", decision: fc.decision });
+  return { ok: true, decision: fc.decision, ledger_hash: ev.eventHash };
+}
+
+const worker = new Worker(
+  QUEUE_NAME,
+  async (job) => {
+    if (job.name === "schedule-tick") return scheduleTick();
+    if (job.name === "flush-webhook-outbox") return flushWebhookOutbox({ pool, queue: webhookQueue });
+    if (job.name === "refresh-location") return refreshLocation(job);
+    if (job.name === "forecast-location") return forecastLocation(job);
+    if (job.name === "anchor-ledger") return anchorLedger();
+    if (job.name === "recompute-area") return recomputeAreaJob(job);
   },
   { connection: { url: REDIS_URL } }
 );
 
+worker.on("active", (job) => {
+  live.job(job, "running");
+});
+
 worker.on("completed", (job, result) => {
-  jobsProcessed.inc({ name: job.name, status: "ok" });
+  metrics.jobsProcessed.inc({ name: job.name, status: "ok" });
   log("completed", job.id, result?.decision, result?.ledger_hash);
+  live.job(job, "completed", { skipped: result?.skipped || null });
+  if (result?.decision && job.data?.locationId) {
+    live.publish("decision", {
+      location_id: job.data.locationId,
+      scope: job.name === "forecast-location" ? "forecast" : "current",
+      decision: result.decision,
+      ledger_hash: result.ledger_hash
+    });
+  }
+  for (const a of result?.areas || []) {
+    live.publish("area", { area_id: a.areaId, decision: a.decision, previous: a.previous, ledger_hash: a.eventHash });
+  }
 });
 
 worker.on("failed", (job, err) => {
-  jobsProcessed.inc({ name: job?.name || "unknown", status: "fail" });
+  metrics.jobsProcessed.inc({ name: job?.name || "unknown", status: "fail" });
   log("failed", job?.id, err?.message);
+  // "failed" dispara a cada tentativa; só é dead-letter quando acabam as tentativas
+  if (job) {
+    const status = job.attemptsMade < (job.opts?.attempts || 1) ? "retrying" : "failed";
+    live.job(job, status, { reason: err?.message || "unknown", attempts: job.attemptsMade });
+  }
 });
 
+const webhookWorker = new Worker(
+  WEBHOOK_QUEUE_NAME,
+  async (job) => {
+    if (job.name === "deliver-webhook") return deliverWebhook({ pool, allowedHosts: WEBHOOK_ALLOWED_HOSTS }, job);
+  },
+  { connection: { url: REDIS_URL } }
+);
+
+webhookWorker.on("completed", (job) => {
+  metrics.jobsProcessed.inc({ name: job.name, status: "ok" });
+});
+
+webhookWorker.on("failed", (job, err) => {
+  metrics.jobsProcessed.inc({ name: job?.name || "unknown", status: "fail" });
+  log("webhook failed", job?.id, `attempt ${job?.attemptsMade}`, err?.message);
+  markDeliveryFailed({ pool }, job, err).catch((e) => log("webhook mark failed:", e.message));
+});
+
+metrics.serve(METRICS_PORT);
+
+ensureScheduler()
+  .then(() => log("scheduler tick every", SCHEDULER_TICK_SEC, "s; anchors", anchorTarget ? `every ${ANCHOR_INTERVAL_SEC}s to ${anchorTarget.describe()}` : "off"))
+  .catch((e) => log("scheduler setup failed:", e.message));
+
 log("started. queue=", QUEUE_NAME);
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { aggregateDecision } = require("../src/areas");
+
+const members = (NORMAL, ALERT, CRITICAL, undecided = 0) => ({
+  total: NORMAL + ALERT + CRITICAL + undecided,
+  decided: NORMAL + ALERT + CRITICAL,
+  NORMAL,
+  ALERT,
+  CRITICAL
+});
+
+test("sem membro com decisão: null", () => {
+  assert.equal(aggregateDecision({ mode: "worst" }, members(0, 0, 0, 3)), null);
+  assert.equal(aggregateDecision({ mode: "share", threshold_pct: 50 }, members(0, 0, 0)), null);
+});
+
+test("worst: pior decisão entre os membros", () => {
+  assert.equal(aggregateDecision({ mode: "worst" }, members(9, 0, 0)), "NORMAL");
+  assert.equal(aggregateDecision({ mode: "worst" }, members(9, 1, 0)), "ALERT");
+  assert.equal(aggregateDecision({ mode: "worst" }, members(9, 1, 1, 4)), "CRITICAL");
+});
+
+test("share: limiar sobre os membros com decisão, ALERT conta os CRITICAL", () => {
+  const share = { mode: "share", threshold_pct: 50 };
+  assert.equal(aggregateDecision(share, members(2, 1, 1)), "ALERT");
+  assert.equal(aggregateDecision(share, members(2, 0, 2)), "CRITICAL");
+  assert.equal(aggregateDecision(share, members(3, 1, 0)), "NORMAL");
+  // membros sem decisão não entram na conta
+  assert.equal(aggregateDecision(share, members(1, 1, 0, 10)), "ALERT");
+});
+
+test("share: limiar exato conta como atingido", () => {
+  assert.equal(aggregateDecision({ mode: "share", threshold_pct: 25 }, members(3, 0, 1)), "CRITICAL");
+  assert.equal(aggregateDecision({ mode: "share", threshold_pct: 26 }, members(2, 1, 1)), "ALERT");
+  assert.equal(aggregateDecision({ mode: "share", threshold_pct: 100 }, members(0, 1, 1)), "ALERT");
+});
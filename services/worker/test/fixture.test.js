@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createFixtureProvider } = require("../src/providers/fixture");
+
+const provider = createFixtureProvider({ source: path.join(__dirname, "..", "fixtures", "weather.json") });
+
+test("ponto da fixture casa com tolerância de ~1km", async () => {
+  const { observation } = await provider.observe({ lat: -23.551, lon: -46.634 });
+  assert.deepEqual(observation, { tempC: 34, windMs: 5, rain1hMm: 12, humidityPct: 80, observedAt: null });
+});
+
+test("coordenada sem ponto usa default", async () => {
+  const { observation, source } = await provider.observe({ lat: 0, lon: 0 });
+  assert.equal(observation.tempC, 24);
+  assert.match(source, /weather\.json$/);
+});
+
+test("previsão com in_hours: relativa a agora e cortada pelo horizonte", async () => {
+  const before = Date.now();
+  const { windows } = await provider.forecast({ lat: 0, lon: 0, hours: 2 });
+  assert.equal(windows.length, 2);
+  const first = Date.parse(windows[0].at);
+  assert.ok(first >= before + 3600 * 1000 && first <= Date.now() + 3600 * 1000);
+  assert.deepEqual(windows.map(w => w.rain1hMm), [0, 2]);
+});
+
+test("ponto sem previsão é erro", async () => {
+  await assert.rejects(provider.forecast({ lat: -22.9068, lon: -43.1729, hours: 6 }), /no forecast/);
+});
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const path = require("path");
+const { observeChain } = require("../src/providers");
+const { createOpenMeteoProvider } = require("../src/providers/openmeteo");
+const { createFixtureProvider } = require("../src/providers/fixture");
+
+test("provider que não responde estoura o timeout e a cadeia segue para o próximo", async (t) => {
+  // aceita a conexão e nunca responde
+  const server = http.createServer(() => {});
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  server.on("connection", (s) => t.after(() => s.destroy()));
+
+  const hanging = createOpenMeteoProvider({ baseUrl: `http://127.0.0.1:${server.address().port}`, timeoutMs: 200 });
+  const fixture = createFixtureProvider({ source: path.join(__dirname, "..", "fixtures", "weather.json") });
+
+  const started = Date.now();
+  const { results, attempts } = await observeChain([hanging, fixture], { lat: 0, lon: 0 });
+  assert.ok(Date.now() - started < 5000);
+  assert.deepEqual(attempts.map(a => [a.provider, a.ok, a.error]), [["open-meteo", false, "timeout"], ["fixture", true, undefined]]);
+  assert.equal(results[0].provenance.id, "fixture");
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BUILTIN_RULESET, RISK_PROFILES, rulesHash, ruleInputs, decideRisk, decideForecast } = require("../src/rules");
+
+const obs = (tempC, windMs, rain1hMm) => ({ tempC, windMs, rain1hMm });
+const ids = (pack) => pack.applied_rule.rules.map(r => r.id);
+
+test("regras embutidas: NORMAL, ALERT e CRITICAL", () => {
+  assert.equal(decideRisk(ruleInputs(obs(24, 3, 0)), BUILTIN_RULESET).decision, "NORMAL");
+  assert.equal(decideRisk(ruleInputs(obs(34, 3, 0)), BUILTIN_RULESET).decision, "ALERT");
+  assert.equal(decideRisk(ruleInputs(obs(24, 21, 0)), BUILTIN_RULESET).decision, "CRITICAL");
+  assert.equal(decideRisk(ruleInputs(obs(-5, 0, 0)), BUILTIN_RULESET).decision, "CRITICAL");
+});
+
+test("por input e operador vale só a regra mais severa", () => {
+  const pack = decideRisk(ruleInputs(obs(39, 13, 25)), BUILTIN_RULESET);
+  assert.equal(pack.decision, "CRITICAL");
+  assert.deepEqual(ids(pack), ["RAIN_20MM_1H", "TEMP_38C", "WIND_12MS"]);
+  assert.equal(pack.applied_rule.rules.find(r => r.id === "WIND_12MS").why, "wind_ms>=12");
+});
+
+test("applied_rule guarda ruleset, limiares efetivos e inputs", () => {
+  const pack = decideRisk(ruleInputs(obs(20, 1, 0)), BUILTIN_RULESET);
+  assert.equal(pack.applied_rule.version, 1);
+  assert.equal(pack.applied_rule.ruleset_hash, rulesHash(BUILTIN_RULESET.rules));
+  assert.deepEqual(pack.applied_rule.inputs, obs(20, 1, 0));
+  assert.equal(pack.applied_rule.thresholds.length, BUILTIN_RULESET.rules.length);
+});
+
+test("perfil de risco ajusta limiares e override explícito vence o perfil", () => {
+  const hot = ruleInputs(obs(35, 0, 0));
+  assert.equal(decideRisk(hot, BUILTIN_RULESET).decision, "ALERT");
+  assert.equal(decideRisk(hot, BUILTIN_RULESET, { risk_profile: "tropical-urban" }).decision, "NORMAL");
+
+  const pack = decideRisk(hot, BUILTIN_RULESET, { risk_profile: "tropical-urban", rule_overrides: { TEMP_33C: 34 } });
+  assert.equal(pack.decision, "ALERT");
+  assert.equal(pack.applied_rule.thresholds.find(r => r.id === "TEMP_33C").source, "override");
+  assert.equal(pack.applied_rule.thresholds.find(r => r.id === "TEMP_38C").source, "profile");
+});
+
+test("campo ausente não dispara regra, nem as de limite inferior", () => {
+  const pack = decideRisk(ruleInputs(obs(null, 3, 0)), BUILTIN_RULESET);
+  assert.equal(pack.decision, "NORMAL");
+  assert.deepEqual(ids(pack), []);
+  assert.equal(decideRisk(ruleInputs(obs(null, 21, 0)), BUILTIN_RULESET).decision, "CRITICAL");
+});
+
+test("janela de previsão com lacuna é avaliada só pelo que veio", () => {
+  const fc = decideForecast([
+    { at: "2026-01-01T01:00:00.000Z", hours: 1, tempC: null, windMs: 0, rain1hMm: 0 },
+    { at: "2026-01-01T02:00:00.000Z", hours: 1, tempC: 1, windMs: 0, rain1hMm: 0 }
+  ], BUILTIN_RULESET);
+  assert.deepEqual(fc.windows.map(w => w.decision), ["NORMAL", "ALERT"]);
+  assert.equal(fc.earliest.ALERT.at, "2026-01-01T02:00:00.000Z");
+});
+
+test("perfis só ajustam regras embutidas existentes", () => {
+  const builtinIds = new Set(BUILTIN_RULESET.rules.map(r => r.id));
+  for (const [name, thresholds] of Object.entries(RISK_PROFILES)) {
+    for (const id of Object.keys(thresholds)) assert.ok(builtinIds.has(id), `${name}: ${id}`);
+  }
+});
+
+test("perfil desconhecido é erro", () => {
+  assert.throws(() => decideRisk(ruleInputs(obs(20, 0, 0)), BUILTIN_RULESET, { risk_profile: "lunar" }), /unknown risk_profile/);
+});
+
+test("regras de janela: soma e duração sustentada", () => {
+  const rules = [
+    { id: "RAIN_50MM_3H", input: "rain1hMm", agg: "sum", window_hours: 3, op: ">=", value: 50, severity: "CRITICAL" },
+    { id: "HEAT_35C_3H", input: "tempC", agg: "sustained", window_hours: 3, op: ">=", value: 35, severity: "ALERT" }
+  ];
+  const ruleset = { id: null, version: 2, rules, content_hash: rulesHash(rules) };
+  const now = "2026-01-01T12:30:00.000Z";
+  const history = [
+    { at: "2026-01-01T10:10:00.000Z", ...obs(36, 0, 20) },
+    { at: "2026-01-01T11:10:00.000Z", ...obs(37, 0, 20) }
+  ];
+
+  const pack = decideRisk(ruleInputs(obs(36, 0, 15), { ruleset, history, now }), ruleset);
+  assert.equal(pack.decision, "CRITICAL");
+  assert.deepEqual(ids(pack), ["HEAT_35C_3H", "RAIN_50MM_3H"]);
+  assert.equal(pack.applied_rule.inputs.windows["rain1hMm:sum:3h"].sum, 55);
+
+  // janela incompleta: sustained não dispara, sum usa o que houver
+  const partial = decideRisk(ruleInputs(obs(36, 0, 15), { ruleset, history: history.slice(1), now }), ruleset);
+  assert.equal(partial.decision, "NORMAL");
+  assert.equal(partial.applied_rule.inputs.windows["tempC:sustained:3h"].complete, false);
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { whatIf, loadRulesetFile } = require("../src/whatif");
+const { BUILTIN_RULESET } = require("../src/rules");
+
+function writeRuleset(doc) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "whatif-")), "rules.json");
+  fs.writeFileSync(file, JSON.stringify(doc));
+  return file;
+}
+
+test("arquivo de ruleset válido vira candidato com hash", () => {
+  const rules = [{ id: "RAIN_24H", input: "rain1hMm", op: ">=", value: 60, severity: "CRITICAL", agg: "sum", window_hours: 24 }];
+  const rs = loadRulesetFile(writeRuleset({ rules }));
+  assert.equal(rs.version, "candidate");
+  assert.deepEqual(rs.rules, rules);
+});
+
+test("agg inválido ou sem window_hours é recusado, não ignorado", () => {
+  const base = { id: "RAIN_24H", input: "rain1hMm", op: ">=", value: 60, severity: "CRITICAL" };
+  assert.throws(() => loadRulesetFile(writeRuleset({ rules: [{ ...base, agg: "summ", window_hours: 24 }] })), /rules\.0\.agg/);
+  assert.throws(() => loadRulesetFile(writeRuleset({ rules: [{ ...base, agg: "sum" }] })), /agg and window_hours go together/);
+  assert.throws(() => loadRulesetFile(writeRuleset({ rules: [{ ...base, agg: "sum", window_hours: 500 }] })), /window_hours/);
+  assert.throws(() => loadRulesetFile(writeRuleset({ rules: [base, base] })), /duplicate rule id/);
+  assert.throws(() => loadRulesetFile(writeRuleset({ rules: [] })), /invalid ruleset file/);
+});
+
+test("recorded: eventos sem ruleset_hash contam como legacy_unhashed, não como divergência", async () => {
+  const inputs = { tempC: 25, windMs: 3, rain1hMm: 0 };
+  const event = (id, extra) => ({
+    id: String(id),
+    event_hash: `h${id}`,
+    created_at: new Date(Date.UTC(2026, 0, 1, id)).toISOString(),
+    location: { id: "loc-1" },
+    decision: "NORMAL",
+    applied_rule: { version: 1, ruleset_id: null, inputs, rules: [], ...extra }
+  });
+  const rows = [
+    event(1, {}),
+    event(2, { ruleset_hash: BUILTIN_RULESET.content_hash }),
+    event(3, { ruleset_hash: "0".repeat(64) })
+  ];
+  let served = false;
+  const db = {
+    async query() {
+      if (served) return { rowCount: 0, rows: [] };
+      served = true;
+      return { rowCount: rows.length, rows };
+    }
+  };
+
+  const out = await whatIf(db, { ruleset: "recorded", rulesetFile: null, location: null, from: null, to: null });
+  assert.equal(out.evaluated, 3);
+  assert.equal(out.changed, 0);
+  assert.equal(out.legacy_unhashed, 1);
+  assert.equal(out.recorded_hash_mismatches, 1);
+});